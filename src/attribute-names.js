@@ -0,0 +1,31 @@
+/**
+ * Integrity.js Built-in Attribute Names
+ * The one list of built-in performance attributes, read by the attribute registry
+ * and by the Babel plugin.
+ *
+ * CommonJS so Babel can load it directly from the config.
+ */
+
+'use strict';
+
+module.exports = [
+  'memory-limit',
+  'memory-priority',
+  'memory-strategy',
+  'auto-cleanup',
+  'gc-hint',
+  'gc-threshold',
+  'performance-budget',
+  'device-target',
+  'fps-target',
+  'optimization',
+  'mobile-quality',
+  'lazy-threshold',
+  'lazy-placeholder',
+  'preload-buffer',
+  'battery-aware',
+  'network-aware',
+  'touch-delay',
+  'virtual-threshold',
+  'virtual-item-height'
+];
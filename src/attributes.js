@@ -0,0 +1,426 @@
+/**
+ * Integrity.js Attribute Registry
+ * Every performance attribute - built-in or app-specific - is registered here
+ * with a value schema, a dev-time validator and a transformer
+ */
+
+import { useRef, useCallback, useEffect } from 'react';
+import BUILT_IN_ATTRIBUTE_NAMES from './attribute-names';
+import { useMemoryBudget, getDeclaredMemoryAttributes, createEvictedPlaceholder } from './memory';
+import { useLazyLoad, getLazyOptions, deferSources } from './lazy';
+import { useVirtualChildren, getVirtualOptions } from './virtual';
+import { applyImageLoader } from './images';
+
+const registry = new Map();
+
+/**
+ * Check a value against a registration schema
+ *
+ * Schemas: { type: 'enum', values }, { type: 'pattern', pattern },
+ * { type: 'integer', min, max }, { type: 'boolean' }
+ */
+export function matchesSchema(schema, value) {
+  if (!schema) return true;
+
+  switch (schema.type) {
+    case 'enum':
+      return schema.values.includes(value);
+
+    case 'pattern':
+      // Numbers are accepted as-is; only string values carry units
+      return typeof value !== 'string' || schema.pattern.test(value);
+
+    case 'integer': {
+      if (typeof value !== 'string' && typeof value !== 'number') return false;
+      const number = typeof value === 'number' ? value : parseInt(value, 10);
+      if (isNaN(number)) return false;
+      if (typeof schema.min === 'number' && number < schema.min) return false;
+      if (typeof schema.max === 'number' && number > schema.max) return false;
+      return true;
+    }
+
+    case 'boolean':
+      return value === true || value === false || value === 'true' || value === 'false' || value === '';
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * Register a performance attribute (JavaScript-safe)
+ *
+ * Options:
+ * - schema: value schema checked in development
+ * - expected: description of valid values used in warnings
+ * - validate(value): extra check returning true, or a description of what was expected
+ * - transform(value, context): returns { props, style } merged onto the element
+ * - effect(node, value): runtime behaviour once the element mounts; may return a cleanup
+ * - prepare(value, context): options for `hook` when the element needs it, else null
+ * - hook(options, context): React hook run while the element renders (options null when
+ *   prepare returned none); returns { ref, status, props, attributes, finalize, element }
+ *
+ * Returns a function that unregisters the attribute.
+ */
+export function registerIntegrityAttribute(name, options = {}) {
+  if (typeof name !== 'string' || !name) {
+    console.warn('[Integrity.js] registerIntegrityAttribute requires an attribute name');
+    return () => {};
+  }
+
+  const definition = {
+    name,
+    schema: options.schema || null,
+    expected: options.expected || null,
+    validate: typeof options.validate === 'function' ? options.validate : null,
+    transform: typeof options.transform === 'function' ? options.transform : null,
+    effect: typeof options.effect === 'function' ? options.effect : null,
+    prepare: typeof options.prepare === 'function' ? options.prepare : null,
+    hook: typeof options.hook === 'function' ? options.hook : null,
+    builtIn: !!options.builtIn
+  };
+
+  if (registry.has(name) && registry.get(name).builtIn && !definition.builtIn) {
+    console.warn(`[Integrity.js] Attribute "${name}" overrides a built-in attribute`);
+  }
+
+  registry.set(name, definition);
+
+  return () => {
+    if (registry.get(name) === definition) registry.delete(name);
+  };
+}
+
+/**
+ * Whether a prop name is a registered attribute
+ */
+export function isIntegrityAttribute(name) {
+  return registry.has(name);
+}
+
+/**
+ * Whether any prop is a registered attribute; elements without one are left untouched
+ */
+export function hasIntegrityAttributes(props) {
+  return !!props && Object.keys(props).some(isIntegrityAttribute);
+}
+
+/**
+ * Look up one registered attribute
+ */
+export function getIntegrityAttribute(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Names of every registered attribute
+ */
+export function getIntegrityAttributes() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Validate an attribute value (JavaScript-safe)
+ * Returns { attribute, value, expected } for an invalid value, otherwise null.
+ */
+export function validateIntegrityAttribute(name, value) {
+  try {
+    const definition = registry.get(name);
+    if (!definition) return null;
+
+    const expected = definition.expected || 'a valid value';
+    if (!matchesSchema(definition.schema, value)) {
+      return { attribute: name, value, expected };
+    }
+
+    if (definition.validate) {
+      const result = definition.validate(value);
+      if (result !== true && result !== undefined) {
+        return { attribute: name, value, expected: typeof result === 'string' ? result : expected };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.warn('Error validating mobile attribute:', error);
+    return null;
+  }
+}
+
+/**
+ * Run every registered transformer for the resolved attributes (JavaScript-safe)
+ */
+export function applyAttributeTransforms(integrityProps, props, context = {}) {
+  let transformed = props;
+
+  Object.keys(integrityProps).forEach(name => {
+    const definition = registry.get(name);
+    if (!definition || !definition.transform) return;
+
+    try {
+      const result = definition.transform(integrityProps[name], { ...context, props: transformed, integrityProps });
+      if (!result) return;
+
+      transformed = { ...transformed, ...result.props };
+      if (result.style) {
+        transformed.style = { ...transformed.style, ...result.style };
+      }
+    } catch (error) {
+      console.warn(`Error applying ${name} attribute:`, error);
+    }
+  });
+
+  return transformed;
+}
+
+/**
+ * Options for every registered hook whose prepare applies to this element, or null when none does
+ * `context` is `{ type, props, attributes, declared }`; `declared` holds only the attributes written
+ * on the element, `attributes` includes device defaults.
+ */
+export function prepareAttributeRuntimes(context) {
+  let runtimes = null;
+
+  registry.forEach((definition, name) => {
+    if (!definition.hook || !definition.prepare) return;
+
+    try {
+      const options = definition.prepare(context.attributes[name], context);
+      if (options) {
+        runtimes = runtimes || {};
+        runtimes[name] = options;
+      }
+    } catch (error) {
+      console.warn(`Error preparing ${name} attribute:`, error);
+    }
+  });
+
+  return runtimes;
+}
+
+/**
+ * Run every registered attribute hook for an element; returns their results in registry order
+ * Hooks are read once per element so their order never changes between renders; attributes
+ * registered later apply to elements mounted after that.
+ */
+export function useAttributeRuntimes(runtimes, context) {
+  const definitionsRef = useRef(null);
+  if (!definitionsRef.current) {
+    definitionsRef.current = Array.from(registry.values()).filter(definition => definition.hook);
+  }
+
+  return definitionsRef.current.map(definition => ({
+    name: definition.name,
+    ...definition.hook((runtimes && runtimes[definition.name]) || null, context)
+  }));
+}
+
+/**
+ * Whether any resolved attribute needs runtime behaviour on the DOM node
+ */
+export function hasAttributeEffects(integrityProps) {
+  return Object.keys(integrityProps).some(name => {
+    const definition = registry.get(name);
+    return !!(definition && definition.effect);
+  });
+}
+
+/**
+ * Run registered attribute effects against the element's DOM node.
+ * Returns a ref for that node.
+ */
+export function useAttributeEffects(integrityProps) {
+  const cleanupsRef = useRef([]);
+  const nodeRef = useRef(null);
+  const key = JSON.stringify(integrityProps || {});
+  const attributesRef = useRef(integrityProps);
+  attributesRef.current = integrityProps;
+
+  const teardown = useCallback(() => {
+    cleanupsRef.current.forEach(cleanup => {
+      try {
+        cleanup();
+      } catch (error) {
+        console.warn('Error cleaning up attribute effect:', error);
+      }
+    });
+    cleanupsRef.current = [];
+  }, []);
+
+  const setup = useCallback(() => {
+    teardown();
+    const node = nodeRef.current;
+    const attributes = attributesRef.current || {};
+    if (!node) return;
+
+    Object.keys(attributes).forEach(name => {
+      const definition = registry.get(name);
+      if (!definition || !definition.effect) return;
+
+      try {
+        const cleanup = definition.effect(node, attributes[name]);
+        if (typeof cleanup === 'function') cleanupsRef.current.push(cleanup);
+      } catch (error) {
+        console.warn(`Error running ${name} attribute effect:`, error);
+      }
+    });
+  }, [teardown]);
+
+  const ref = useCallback((node) => {
+    nodeRef.current = node;
+    if (node) {
+      setup();
+    } else {
+      teardown();
+    }
+  }, [setup, teardown]);
+
+  // Re-run effects when attribute values change on a mounted node
+  const firstRun = useRef(true);
+  useEffect(() => {
+    if (firstRun.current) {
+      firstRun.current = false;
+      return;
+    }
+    setup();
+  }, [key, setup]);
+
+  useEffect(() => teardown, [teardown]);
+
+  return ref;
+}
+
+// =============================================================================
+// BUILT-IN ATTRIBUTES
+// =============================================================================
+
+const BOOLEAN = { type: 'boolean' };
+const BOOLEAN_EXPECTED = 'true or false';
+
+const builtIns = {
+  'memory-limit': {
+    schema: { type: 'pattern', pattern: /^\d+(MB|GB|KB)$/i },
+    expected: '"50MB", "1GB", "500KB"',
+    // One budget per element for memory-limit, memory-priority and auto-cleanup; only declared
+    // values register, so device defaults alone never put an element in the registry
+    prepare: (value, { declared }) => getDeclaredMemoryAttributes(declared),
+    hook: (options, { name }) => {
+      const memory = useMemoryBudget(options, name);
+      const result = { ref: memory.ref, status: memory.status };
+
+      if (memory.status === 'evicted') {
+        result.element = createEvictedPlaceholder(memory.size);
+      } else if (memory.status === 'degraded') {
+        result.props = { 'data-integrity-degraded': 'true' };
+        result.attributes = { 'mobile-quality': 'low', 'gc-hint': 'aggressive' };
+      }
+      return result;
+    }
+  },
+  'memory-priority': {
+    schema: { type: 'enum', values: ['high', 'medium', 'low'] },
+    expected: 'high, medium, or low'
+  },
+  'memory-strategy': {
+    schema: { type: 'enum', values: ['conservative', 'balanced', 'aggressive'] },
+    expected: 'conservative, balanced, or aggressive'
+  },
+  'auto-cleanup': {
+    schema: BOOLEAN,
+    expected: BOOLEAN_EXPECTED
+  },
+  'gc-hint': {
+    schema: { type: 'enum', values: ['aggressive', 'normal', 'conservative'] },
+    expected: 'aggressive, normal, or conservative'
+  },
+  'gc-threshold': {
+    // "80%" or a 0-1 ratio
+    validate: value => (
+      typeof value === 'number' ?
+        value > 0 && value <= 1 :
+        typeof value === 'string' && /^\d{1,3}%$/.test(value) && parseInt(value, 10) > 0 && parseInt(value, 10) <= 100
+    ),
+    expected: '"80%", "90%" or a ratio between 0-1'
+  },
+  'performance-budget': {
+    schema: { type: 'pattern', pattern: /^\d+(ms|fps)$/i },
+    expected: '"16ms" or "60fps"'
+  },
+  'device-target': {
+    schema: { type: 'enum', values: ['mobile', 'desktop', 'tablet', 'low-end', 'high-end', 'auto'] },
+    expected: 'mobile, desktop, tablet, low-end, high-end, or auto'
+  },
+  'fps-target': {
+    schema: { type: 'integer', min: 15, max: 120 },
+    expected: 'number between 15-120'
+  },
+  'optimization': {
+    schema: { type: 'enum', values: ['auto', 'performance', 'memory', 'battery', 'quality', 'none'] },
+    expected: 'auto, performance, memory, battery, quality, or none'
+  },
+  'mobile-quality': {
+    schema: { type: 'enum', values: ['auto', 'high', 'medium', 'low'] },
+    expected: 'auto, high, medium, or low',
+    // Rewrites <img> sources through the configured imageLoader at this quality
+    transform: (value, { type, props }) => ({ props: applyImageLoader(type, props, value) })
+  },
+  'lazy-threshold': {
+    schema: { type: 'pattern', pattern: /^\d+(px|%)$/i },
+    expected: '"100px", "50%"',
+    prepare: (value, { type, props, attributes }) => getLazyOptions(type, props, attributes),
+    hook: (options, { type }) => {
+      const lazy = useLazyLoad(options && options.threshold, !!options);
+      return {
+        ref: lazy.ref,
+        finalize: lazy.visible || !options ? null : props => deferSources(type, props, options.placeholder)
+      };
+    }
+  },
+  'lazy-placeholder': {
+    validate: value => typeof value === 'string' && value.length > 0,
+    expected: 'an image URL or CSS color'
+  },
+  'preload-buffer': {
+    schema: { type: 'integer', min: 0, max: 50 },
+    expected: 'number between 0-50'
+  },
+  'battery-aware': {
+    schema: BOOLEAN,
+    expected: BOOLEAN_EXPECTED
+  },
+  'network-aware': {
+    schema: BOOLEAN,
+    expected: BOOLEAN_EXPECTED
+  },
+  'touch-delay': {
+    schema: { type: 'pattern', pattern: /^\d+(ms)$/i },
+    expected: '"0ms", "50ms"',
+    // A zero delay means the browser must not wait for a double-tap
+    transform: (value, { props }) => (
+      parseInt(value, 10) === 0 && !(props.style && props.style.touchAction) ?
+        { style: { touchAction: 'manipulation' } } :
+        null
+    )
+  },
+  'virtual-threshold': {
+    schema: { type: 'integer', min: 10 },
+    expected: 'number >= 10',
+    prepare: (value, { type, props, attributes }) => getVirtualOptions(type, props, attributes),
+    hook: (options, { type, props }) => {
+      const virtual = useVirtualChildren(props.children, options, type);
+      return {
+        ref: virtual.ref,
+        finalize: options ? resolved => ({ ...resolved, children: virtual.children }) : null
+      };
+    }
+  },
+  'virtual-item-height': {
+    schema: { type: 'integer', min: 1 },
+    expected: 'row height in pixels, >= 1'
+  }
+};
+
+// Registered from the shared name list so the Babel plugin compiles exactly these
+BUILT_IN_ATTRIBUTE_NAMES.forEach(name => {
+  registerIntegrityAttribute(name, { ...builtIns[name], builtIn: true });
+});
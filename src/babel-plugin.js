@@ -0,0 +1,188 @@
+/**
+ * Integrity.js Babel Plugin
+ * Compiles performance attributes on JSX elements ahead of time:
+ *
+ *   <img src={url} memory-limit="50MB" lazy-threshold="100px" />
+ *
+ * becomes a call to `createPrecompiledElement` with the literal attributes hoisted
+ * into a module-level descriptor, so the runtime never loops over props to find them.
+ * Elements without performance attributes are left for @babel/preset-react and compile
+ * to plain React calls.
+ *
+ * Options:
+ * - attributes: names registered with registerIntegrityAttribute in the app
+ * - importSource: module providing createPrecompiledElement (default 'integrity.js')
+ * - source: include file and line in descriptors for diagnostics (default: outside production)
+ *
+ * CommonJS so Babel can load it directly from the config.
+ */
+
+'use strict';
+
+const path = require('path');
+const BUILT_IN_ATTRIBUTES = require('./attribute-names');
+
+module.exports = function integrityBabelPlugin(api, options = {}) {
+  const t = api.types;
+  const attributeNames = new Set(BUILT_IN_ATTRIBUTES.concat(options.attributes || []));
+  const importSource = options.importSource || 'integrity.js';
+  const includeSource = typeof options.source === 'boolean' ? options.source : !api.env('production');
+
+  function getAttributeName(attribute) {
+    const name = attribute.name;
+    return t.isJSXNamespacedName(name) ? `${name.namespace.name}:${name.name.name}` : name.name;
+  }
+
+  function isPerformanceAttribute(attribute) {
+    return t.isJSXAttribute(attribute) && attributeNames.has(getAttributeName(attribute));
+  }
+
+  // Literal values are known at build time; anything else is evaluated per render
+  function getStaticValue(value) {
+    if (value === null) return { value: t.booleanLiteral(true) };
+    if (t.isStringLiteral(value)) return { value: t.stringLiteral(value.value) };
+
+    if (t.isJSXExpressionContainer(value)) {
+      const expression = value.expression;
+      if (t.isStringLiteral(expression) || t.isNumericLiteral(expression) || t.isBooleanLiteral(expression)) {
+        return { value: expression };
+      }
+      if (t.isTemplateLiteral(expression) && expression.expressions.length === 0) {
+        return { value: t.stringLiteral(expression.quasis[0].value.cooked) };
+      }
+    }
+
+    return null;
+  }
+
+  function getAttributeValue(value) {
+    if (value === null) return t.booleanLiteral(true);
+    if (t.isJSXExpressionContainer(value)) return value.expression;
+    return value;
+  }
+
+  function toPropertyKey(name) {
+    return t.isValidIdentifier(name) ? t.identifier(name) : t.stringLiteral(name);
+  }
+
+  function toElementType(name) {
+    if (t.isJSXIdentifier(name)) {
+      if (name.name === 'this') return t.thisExpression();
+      return t.react.isCompatTag(name.name) ? t.stringLiteral(name.name) : t.identifier(name.name);
+    }
+    if (t.isJSXMemberExpression(name)) {
+      return t.memberExpression(toElementType(name.object), t.identifier(name.property.name));
+    }
+    return t.stringLiteral(`${name.namespace.name}:${name.name.name}`);
+  }
+
+  function toObject(properties) {
+    return properties.length > 0 ? t.objectExpression(properties) : t.nullLiteral();
+  }
+
+  function getSourceFileName(file) {
+    const fileName = file.opts.filename;
+    if (!fileName) return null;
+    return path.relative(file.opts.root || file.opts.cwd || process.cwd(), fileName) || fileName;
+  }
+
+  function getFactory(state) {
+    if (state.integrityFactory) return t.cloneNode(state.integrityFactory);
+
+    const program = state.file.path;
+    const factory = program.scope.generateUidIdentifier('createPrecompiledElement');
+    const isModule = program.node.sourceType === 'module';
+
+    program.unshiftContainer('body', isModule ?
+      t.importDeclaration(
+        [t.importSpecifier(factory, t.identifier('createPrecompiledElement'))],
+        t.stringLiteral(importSource)
+      ) :
+      t.variableDeclaration('var', [
+        t.variableDeclarator(
+          factory,
+          t.memberExpression(
+            t.callExpression(t.identifier('require'), [t.stringLiteral(importSource)]),
+            t.identifier('createPrecompiledElement')
+          )
+        )
+      ])
+    );
+
+    state.integrityFactory = factory;
+    return t.cloneNode(factory);
+  }
+
+  return {
+    name: 'integrity-js',
+
+    visitor: {
+      JSXElement(elementPath, state) {
+        const opening = elementPath.node.openingElement;
+        if (!opening.attributes.some(isPerformanceAttribute)) return;
+
+        const props = [];
+        const staticAttributes = [];
+        const dynamicAttributes = [];
+        const lastSpread = opening.attributes.map(attribute => t.isJSXSpreadAttribute(attribute)).lastIndexOf(true);
+
+        opening.attributes.forEach((attribute, index) => {
+          if (t.isJSXSpreadAttribute(attribute)) {
+            props.push(t.spreadElement(attribute.argument));
+            return;
+          }
+
+          // A spread after an attribute overrides it, so only attributes after the last spread are hoisted
+          const name = getAttributeName(attribute);
+          if (!attributeNames.has(name) || index < lastSpread) {
+            props.push(t.objectProperty(toPropertyKey(name), getAttributeValue(attribute.value)));
+            return;
+          }
+
+          const staticValue = getStaticValue(attribute.value);
+          if (staticValue) {
+            staticAttributes.push(t.objectProperty(t.stringLiteral(name), staticValue.value));
+          } else {
+            dynamicAttributes.push(t.objectProperty(t.stringLiteral(name), getAttributeValue(attribute.value)));
+          }
+        });
+
+        const descriptorProperties = [
+          t.objectProperty(t.identifier('attributes'), t.objectExpression(staticAttributes))
+        ];
+        // Spread props and attributes written before them are looked up by the runtime
+        if (lastSpread !== -1) {
+          descriptorProperties.push(t.objectProperty(t.identifier('spread'), t.booleanLiteral(true)));
+        }
+        const fileName = includeSource ? getSourceFileName(state.file) : null;
+        if (fileName && opening.loc) {
+          descriptorProperties.push(t.objectProperty(t.identifier('source'), t.objectExpression([
+            t.objectProperty(t.identifier('fileName'), t.stringLiteral(fileName)),
+            t.objectProperty(t.identifier('lineNumber'), t.numericLiteral(opening.loc.start.line))
+          ])));
+        }
+
+        // Hoist the descriptor so it is created once per module, not once per render
+        const descriptor = state.file.path.scope.generateUidIdentifier('integrityDescriptor');
+        state.file.path.scope.push({
+          id: descriptor,
+          init: t.objectExpression(descriptorProperties),
+          kind: 'const'
+        });
+
+        const call = t.callExpression(getFactory(state), [
+          toElementType(opening.name),
+          toObject(props),
+          t.cloneNode(descriptor),
+          toObject(dynamicAttributes),
+          ...t.react.buildChildren(elementPath.node)
+        ]);
+        t.addComment(call, 'leading', '#__PURE__');
+
+        elementPath.replaceWith(t.inherits(call, elementPath.node));
+      }
+    }
+  };
+};
+
+module.exports.BUILT_IN_ATTRIBUTES = BUILT_IN_ATTRIBUTES;
@@ -0,0 +1,146 @@
+/**
+ * Integrity.js Cleanup Handlers
+ * Application-owned resources (textures, decoded frames, large stores) register a
+ * handler that releases memory at a given pressure level and reports what it freed
+ *
+ *   registerCleanup(() => textureCache.dispose(), { priority: 'low', level: 'moderate' })
+ */
+
+import { relieveMemoryPressure, getMemoryRegistry } from './memory';
+import { getImageCache, getImageCacheBudget } from './image-cache';
+import { getTextureCache, getTextureBudget } from './textures';
+import { trimDataCache } from './data';
+
+// Handlers registered for 'moderate' also run at 'critical'
+export const CLEANUP_LEVELS = ['moderate', 'critical'];
+
+// Lowest priority first, as with memory-priority eviction
+const PRIORITY_ORDER = { low: 0, medium: 1, high: 2 };
+
+const handlers = new Map();
+let nextHandlerId = 1;
+
+/**
+ * Register a cleanup handler; returns a function that unregisters it
+ * The handler receives `{ level, reason }` and returns the bytes it freed (anything
+ * else is reported as null). Options:
+ * - priority: 'low' | 'medium' | 'high' - dispatch order, low first (default 'medium')
+ * - level: 'moderate' | 'critical' - lowest pressure level to run at (default 'moderate')
+ * - name: label used in reports (default: the handler's function name)
+ */
+export function registerCleanup(handler, options = {}) {
+  if (typeof handler !== 'function') {
+    console.warn('[Integrity.js] registerCleanup expects a function');
+    return () => {};
+  }
+
+  if (options.priority !== undefined && !(options.priority in PRIORITY_ORDER)) {
+    console.warn(`[Integrity.js] Unknown cleanup priority "${options.priority}"; using "medium"`);
+  }
+  if (options.level !== undefined && !CLEANUP_LEVELS.includes(options.level)) {
+    console.warn(`[Integrity.js] Unknown cleanup level "${options.level}"; using "moderate"`);
+  }
+
+  const id = nextHandlerId++;
+  handlers.set(id, {
+    id,
+    handler,
+    name: options.name || handler.name || `cleanup-${id}`,
+    priority: options.priority in PRIORITY_ORDER ? options.priority : 'medium',
+    level: CLEANUP_LEVELS.includes(options.level) ? options.level : 'moderate'
+  });
+
+  return () => {
+    handlers.delete(id);
+  };
+}
+
+/**
+ * Run the handlers registered at or below `level`, lowest priority first (JavaScript-safe)
+ * Returns `{ level, reason, freed, handlers: [{ name, priority, level, freed, error }] }`;
+ * `freed` totals the handlers that reported a number.
+ */
+export function runCleanupHandlers(level = 'critical', reason = 'manual') {
+  const pressure = CLEANUP_LEVELS.includes(level) ? level : 'critical';
+  const rank = CLEANUP_LEVELS.indexOf(pressure);
+
+  const eligible = Array.from(handlers.values())
+    .filter(entry => CLEANUP_LEVELS.indexOf(entry.level) <= rank)
+    .sort((a, b) => (PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]) || (a.id - b.id));
+
+  const results = eligible.map(entry => {
+    try {
+      const freed = entry.handler({ level: pressure, reason });
+      return {
+        name: entry.name,
+        priority: entry.priority,
+        level: entry.level,
+        freed: typeof freed === 'number' && isFinite(freed) ? freed : null,
+        error: null
+      };
+    } catch (error) {
+      console.warn(`Error in Integrity cleanup handler "${entry.name}":`, error);
+      return { name: entry.name, priority: entry.priority, level: entry.level, freed: null, error: String(error) };
+    }
+  });
+
+  return {
+    level: pressure,
+    reason,
+    freed: results.reduce((sum, result) => sum + (result.freed || 0), 0),
+    handlers: results
+  };
+}
+
+function clearGlobalCache(name) {
+  const cache = typeof window !== 'undefined' ? window[name] : null;
+  if (!cache || typeof cache.clear !== 'function') return 0;
+
+  let bytes = 0;
+  if (typeof cache.forEach === 'function') {
+    cache.forEach(value => {
+      if (value && typeof value.bytes === 'number') bytes += value.bytes;
+    });
+  }
+  cache.clear();
+  return bytes;
+}
+
+// Built-in handlers for the memory registry and Integrity's own caches
+
+registerCleanup(() => relieveMemoryPressure(getMemoryRegistry().used / 2), {
+  name: 'memory-budgets',
+  priority: 'low'
+});
+
+// Moderate pressure halves the image cache (low-priority images go first); critical empties it
+registerCleanup(({ level }) => {
+  const cache = getImageCache();
+  if (!cache) return 0;
+  return level === 'critical' ? clearGlobalCache('__INTEGRITY_IMAGE_CACHE__') : cache.trim(getImageCacheBudget() / 2);
+}, {
+  name: 'image-cache',
+  priority: 'medium'
+});
+
+registerCleanup(() => clearGlobalCache('__INTEGRITY_CACHE__'), {
+  name: 'integrity-cache',
+  priority: 'medium',
+  level: 'critical'
+});
+
+// Textures still in use are kept; moderate pressure halves the GPU footprint, critical deletes every unused texture
+registerCleanup(({ level }) => {
+  const cache = getTextureCache();
+  if (!cache) return 0;
+  return cache.trim(level === 'critical' ? 0 : getTextureBudget() / 2);
+}, {
+  name: 'texture-cache',
+  priority: 'medium'
+});
+
+// Data nobody is showing: stale entries at moderate pressure, all of it at critical
+registerCleanup(({ level }) => trimDataCache({ staleOnly: level !== 'critical' }), {
+  name: 'data-cache',
+  priority: 'low'
+});
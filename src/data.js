@@ -0,0 +1,262 @@
+/**
+ * Integrity.js Data Layer
+ * Keyed in-memory cache behind useNetworkAware: one request per key at a time,
+ * stale-while-revalidate, AbortSignal cancellation and retries tuned to the connection
+ */
+
+// Slow links fail transiently more often and need longer pauses between attempts
+export const RETRY_POLICIES = {
+  'slow-2g': { retries: 4, delay: 4000 },
+  '2g': { retries: 3, delay: 2000 },
+  '3g': { retries: 3, delay: 1000 },
+  '4g': { retries: 2, delay: 500 },
+  unknown: { retries: 2, delay: 1000 }
+};
+
+// Unused entries are kept this long, and at most this many
+const DEFAULT_CACHE_TIME = 5 * 60 * 1000;
+const DEFAULT_CACHE_SIZE = 100;
+
+export const EMPTY_DATA_STATE = {
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  isValidating: false
+};
+
+// Map order is recency: the first entry is the least recently used
+const entries = new Map();
+const stats = { hits: 0, misses: 0, deduped: 0, retries: 0, aborted: 0, evictions: 0 };
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+function getEntry(key) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { key, state: EMPTY_DATA_STATE, listeners: new Set(), request: null, controller: null, staleTime: 0, lastUsed: Date.now() };
+  } else {
+    entries.delete(key);
+  }
+  entry.lastUsed = Date.now();
+  entries.set(key, entry);
+  return entry;
+}
+
+function setEntryState(entry, patch) {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.warn('Error in Integrity data listener:', error);
+    }
+  });
+}
+
+/**
+ * Retry policy for a connection type; `retries`/`retryDelay` options override it
+ */
+export function getRetryPolicy(networkType) {
+  const type = networkType || (typeof navigator !== 'undefined' && navigator.connection ? navigator.connection.effectiveType : null);
+  return RETRY_POLICIES[type] || RETRY_POLICIES.unknown;
+}
+
+function createAbortError() {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException('Request aborted', 'AbortError');
+  }
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function runWithRetries(fetcher, context, policy) {
+  for (let attempt = 0; ; attempt++) {
+    if (context.signal && context.signal.aborted) throw createAbortError();
+    try {
+      return await fetcher(context);
+    } catch (error) {
+      if (error && error.name === 'AbortError') throw error;
+      if (attempt >= policy.retries) throw error;
+      stats.retries += 1;
+      await wait(policy.delay * Math.pow(2, attempt), context.signal);
+    }
+  }
+}
+
+// Drop expired unused entries, then the least recently used beyond the size cap
+function sweep() {
+  const config = getConfig();
+  const cacheTime = typeof config.dataCacheTime === 'number' ? config.dataCacheTime : DEFAULT_CACHE_TIME;
+  const maxSize = typeof config.dataCacheSize === 'number' ? config.dataCacheSize : DEFAULT_CACHE_SIZE;
+  const now = Date.now();
+
+  entries.forEach((entry, key) => {
+    if (entry.listeners.size === 0 && !entry.request && now - entry.lastUsed > cacheTime) {
+      entries.delete(key);
+      stats.evictions += 1;
+    }
+  });
+
+  for (const [key, entry] of entries) {
+    if (entries.size <= maxSize) break;
+    if (entry.listeners.size > 0 || entry.request) continue;
+    entries.delete(key);
+    stats.evictions += 1;
+  }
+}
+
+/**
+ * Fetch `key` through `fetcher`, sharing any request already in flight for the key (JavaScript-safe)
+ * The fetcher receives `{ signal, key, networkType }`. Options:
+ * - staleTime: ms a cached value is fresh; fresh values resolve without a request (default 0)
+ * - networkType: effective connection type for the retry policy (default: navigator.connection)
+ * - retries / retryDelay: override the connection's retry policy (delay doubles per retry)
+ * Resolves to the data; rejects with the last error, or an AbortError once every
+ * subscriber has gone.
+ */
+export function fetchData(key, fetcher, options = {}) {
+  const entry = getEntry(key);
+
+  if (entry.request) {
+    stats.deduped += 1;
+    return entry.request;
+  }
+
+  const staleTime = options.staleTime || 0;
+  entry.staleTime = staleTime;
+  if (entry.state.updatedAt && Date.now() - entry.state.updatedAt < staleTime) {
+    stats.hits += 1;
+    return Promise.resolve(entry.state.data);
+  }
+  stats.misses += 1;
+
+  const base = getRetryPolicy(options.networkType);
+  const policy = {
+    retries: typeof options.retries === 'number' ? options.retries : base.retries,
+    delay: typeof options.retryDelay === 'number' ? options.retryDelay : base.delay
+  };
+
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const context = { signal: controller ? controller.signal : undefined, key, networkType: options.networkType || null };
+
+  entry.controller = controller;
+  setEntryState(entry, { isValidating: true });
+
+  entry.request = runWithRetries(fetcher, context, policy)
+    .then(data => {
+      entry.request = null;
+      entry.controller = null;
+      setEntryState(entry, { data, error: null, updatedAt: Date.now(), isValidating: false });
+      sweep();
+      return data;
+    }, error => {
+      entry.request = null;
+      entry.controller = null;
+      if (error && error.name === 'AbortError') {
+        stats.aborted += 1;
+        setEntryState(entry, { isValidating: false });
+      } else {
+        // Keep the last good data next to the error
+        setEntryState(entry, { error, isValidating: false });
+      }
+      throw error;
+    });
+
+  return entry.request;
+}
+
+/**
+ * Listen for changes to a key; returns an unsubscribe function
+ * A request still in flight when its last subscriber leaves is aborted.
+ */
+export function subscribeData(key, listener) {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size > 0) return;
+
+    // Deferred so an immediate remount (StrictMode effects) keeps the request
+    setTimeout(() => {
+      if (entry.listeners.size === 0 && entry.controller) entry.controller.abort();
+    }, 0);
+  };
+}
+
+/**
+ * Cached state for a key: `{ data, error, updatedAt, isValidating }` (JavaScript-safe)
+ */
+export function getDataState(key) {
+  const entry = entries.get(key);
+  return entry ? entry.state : EMPTY_DATA_STATE;
+}
+
+/**
+ * Replace the cached data for a key (optimistic updates, server pushes)
+ */
+export function setData(key, data) {
+  setEntryState(getEntry(key), { data, error: null, updatedAt: Date.now() });
+}
+
+/**
+ * Mark one key (or every key) stale so the next read revalidates
+ */
+export function invalidateData(key) {
+  const targets = key === undefined ? Array.from(entries.values()) : [entries.get(key)].filter(Boolean);
+  targets.forEach(entry => setEntryState(entry, { updatedAt: 0 }));
+}
+
+function estimateDataBytes(data) {
+  try {
+    const json = JSON.stringify(data);
+    return json ? json.length * 2 : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Drop cached entries nobody is subscribed to; returns their estimated bytes
+ * `staleOnly` keeps entries that are still fresh under their `staleTime`.
+ */
+export function trimDataCache(options = {}) {
+  const now = Date.now();
+  let freed = 0;
+  entries.forEach((entry, key) => {
+    if (entry.listeners.size > 0 || entry.request) return;
+    if (options.staleOnly && entry.state.updatedAt && now - entry.state.updatedAt < entry.staleTime) return;
+    freed += estimateDataBytes(entry.state.data);
+    entries.delete(key);
+    stats.evictions += 1;
+  });
+  return freed;
+}
+
+/**
+ * Cache counters: hits, misses, deduped requests, retries, aborts, evictions and entry count
+ */
+export function getDataCacheStats() {
+  let subscribed = 0;
+  entries.forEach(entry => {
+    if (entry.listeners.size > 0) subscribed += 1;
+  });
+  return { ...stats, entries: entries.size, subscribed };
+}
@@ -0,0 +1,80 @@
+/**
+ * Integrity.js Attribute Diagnostics
+ * Structured validation records, collectors for CI smoke tests and strict mode
+ */
+
+const collectors = new Set();
+
+/**
+ * Thrown for invalid attributes when `configureIntegrity({ strict: true })`
+ */
+export class IntegrityValidationError extends Error {
+  constructor(diagnostic) {
+    super(diagnostic.message);
+    this.name = 'IntegrityValidationError';
+    this.diagnostic = diagnostic;
+  }
+}
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+/**
+ * Whether attribute validation should run for this render
+ * Defaults to every environment except production; strict mode and active collectors force it on.
+ */
+export function isValidationEnabled() {
+  const config = getConfig();
+  if (config.strict || collectors.size > 0) return true;
+  if (typeof config.validation === 'boolean') return config.validation;
+
+  return typeof process !== 'undefined' && process.env ? process.env.NODE_ENV !== 'production' : false;
+}
+
+/**
+ * Start collecting diagnostics (JavaScript-safe)
+ * Returns a collector with the records so far, `clear()` and `stop()`.
+ */
+export function collectIntegrityDiagnostics() {
+  const collector = {
+    records: [],
+    clear() {
+      collector.records.length = 0;
+    },
+    stop() {
+      collectors.delete(collector);
+      return collector.records;
+    }
+  };
+
+  collectors.add(collector);
+  return collector;
+}
+
+/**
+ * Record an invalid attribute: collect it, then warn or throw in strict mode
+ */
+export function reportIntegrityDiagnostic(diagnostic) {
+  const source = diagnostic.source && diagnostic.source.fileName ?
+    `${diagnostic.source.fileName}:${diagnostic.source.lineNumber}` :
+    null;
+
+  const record = {
+    component: diagnostic.component || 'Unknown',
+    attribute: diagnostic.attribute,
+    value: diagnostic.value,
+    expected: diagnostic.expected,
+    source,
+    message: `[Integrity.js] Invalid ${diagnostic.attribute} value on <${diagnostic.component || 'Unknown'}>: "${diagnostic.value}". Expected: ${diagnostic.expected}${source ? ` (${source})` : ''}`
+  };
+
+  collectors.forEach(collector => collector.records.push(record));
+
+  if (getConfig().strict) {
+    throw new IntegrityValidationError(record);
+  }
+
+  console.warn(record.message);
+  return record;
+}
@@ -5,22 +5,91 @@
  */
 
 // Import React functions with aliases to avoid naming conflicts
-import React, { createElement as ReactCreateElement, cloneElement as ReactCloneElement } from 'react';
+import React, { createElement as ReactCreateElement, cloneElement as ReactCloneElement, useMemo as ReactUseMemo } from 'react';
+import { mergeRefs, restoreMemoryBudgets } from './memory';
+import { resolveImageLoader } from './images';
+import { getImageCache } from './image-cache';
+import { getTextureCache } from './textures';
+import { detectImageFormats, getPictureSources, isImageFormatPending, usePreferredImageFormat } from './formats';
+import { runCleanupHandlers } from './cleanup';
+import {
+  isIntegrityAttribute,
+  hasIntegrityAttributes,
+  validateIntegrityAttribute,
+  applyAttributeTransforms,
+  hasAttributeEffects,
+  useAttributeEffects,
+  prepareAttributeRuntimes,
+  useAttributeRuntimes
+} from './attributes';
+import { isValidationEnabled, reportIntegrityDiagnostic, IntegrityValidationError } from './diagnostics';
+import { getDeviceSnapshot } from './snapshot';
+import { refreshSimulation } from './simulate';
+import { useMountedComponent } from './mounted';
+import { configureTelemetry, recordIntegrityEvent } from './telemetry';
+import { observeWebVitals, getWebVitals } from './vitals';
+import { subscribeFrames, getFrameStats } from './frames';
+
+const FORWARD_REF_TYPE = typeof Symbol === 'function' ? Symbol.for('react.forward_ref') : 0xead0;
+
+// Resolved attributes per created element - a side channel instead of DOM props
+const elementAttributes = new WeakMap();
+
+/**
+ * Whether to mirror resolved attributes onto the DOM as data-* attributes for inspection
+ */
+function isDebugAttributes() {
+  return getIntegrityConfig().debugAttributes === true;
+}
 
 /**
  * Enhance a React component with Integrity.js mobile optimizations
  */
 export function enhance(Component) {
+  const displayName = `Integrity(${Component.displayName || Component.name || 'Component'})`;
+  // Only host elements and forwardRef components hand us a DOM node to measure
+  const canMeasure = typeof Component === 'string' || (Component && Component.$$typeof === FORWARD_REF_TYPE);
+  const hostType = typeof Component === 'string' ? Component : null;
+
   const IntegrityEnhancedComponent = React.forwardRef((props, ref) => {
+    const declared = processMobileAttributes(props, displayName);
+    const optimized = applyMobileOptimizations(declared.props, declared.attributes);
+    const runtimes = prepareAttributeRuntimes({
+      type: hostType,
+      props: optimized.props,
+      attributes: optimized.attributes,
+      declared: declared.attributes
+    });
+    const effectAttributes = canMeasure ? getEffectAttributes(optimized.attributes) : null;
+
+    const runtime = useAttributeRuntimes(runtimes, {
+      type: hostType,
+      name: displayName,
+      props: optimized.props,
+      attributes: optimized.attributes
+    });
+    const effectsRef = useAttributeEffects(effectAttributes);
+    const mountedRef = useMountedComponent(displayName, optimized.attributes, getRuntimeStatus(runtime));
+    usePreferredImageFormat(hostType === 'img' && isImageFormatPending());
+    const runtimeRefs = runtime.map(result => result.ref);
+    const measuredRef = ReactUseMemo(
+      () => (canMeasure ? mergeRefs(ref, ...runtimeRefs, effectsRef, mountedRef) : ref),
+      [ref, effectsRef, mountedRef, ...runtimeRefs]
+    );
+
+    const replacement = getRuntimeElement(runtime);
+    if (replacement !== undefined) {
+      return replacement;
+    }
+
     try {
-      const enhancedProps = processMobileAttributes(props);
-      const optimizedProps = applyMobileOptimizations(enhancedProps);
+      let resolvedProps = resolveRuntimeProps(hostType, runtime, optimized.props, optimized.attributes);
       
-      return ReactCreateElement(Component, {
-        ...optimizedProps,
-        ref,
-        'data-integrity': 'enhanced'
-      });
+      if (isDebugAttributes()) {
+        resolvedProps = { ...resolvedProps, 'data-integrity': 'enhanced' };
+      }
+      
+      return ReactCreateElement(Component, { ...resolvedProps, ref: measuredRef });
     } catch (error) {
       console.warn('Integrity.js enhance error:', error);
       // Fallback to regular component
@@ -28,7 +97,7 @@ export function enhance(Component) {
     }
   });
 
-  IntegrityEnhancedComponent.displayName = `Integrity(${Component.displayName || Component.name || 'Component'})`;
+  IntegrityEnhancedComponent.displayName = displayName;
   
   return IntegrityEnhancedComponent;
 }
@@ -41,182 +110,456 @@ export function withIntegrity(Component) {
 }
 
 /**
- * Process mobile-first attributes with enhanced validation (JavaScript-safe)
- */
-function processMobileAttributes(props) {
-  const mobileAttrs = {
-    'memory-limit': true,
-    'auto-cleanup': true,
-    'performance-budget': true,
-    'device-target': true,
-    'mobile-quality': true,
-    'lazy-threshold': true,
-    'memory-priority': true,
-    'touch-delay': true,
-    'network-aware': true,
-    'battery-aware': true,
-    'virtual-threshold': true,
-    'preload-buffer': true,
-    'memory-strategy': true,
-    'optimization': true,
-    'fps-target': true,
-    'gc-hint': true,
-    'gc-threshold': true
+ * Host element wrapper for elements whose attributes have runtime behaviour (registered hooks
+ * such as the memory budget, lazy loading and windowing, or DOM effects)
+ */
+const IntegrityHost = React.forwardRef((props, ref) => {
+  const {
+    __integrityType: type,
+    __integrityAttributes: attributes,
+    __integrityRuntimes: runtimes,
+    __integrityEffects: effectAttributes,
+    ...hostProps
+  } = props;
+
+  const runtime = useAttributeRuntimes(runtimes, { type, name: type, props: hostProps, attributes });
+  const effectsRef = useAttributeEffects(effectAttributes);
+  const mountedRef = useMountedComponent(type, attributes, getRuntimeStatus(runtime));
+  // Re-render the loader URL once format detection lands (first visits have no cached result)
+  usePreferredImageFormat(type === 'img' && isImageFormatPending());
+  const runtimeRefs = runtime.map(result => result.ref);
+  const hostRef = ReactUseMemo(
+    () => mergeRefs(ref, ...runtimeRefs, effectsRef, mountedRef),
+    [ref, effectsRef, mountedRef, ...runtimeRefs]
+  );
+
+  const replacement = getRuntimeElement(runtime);
+  if (replacement !== undefined) {
+    return replacement;
+  }
+
+  const resolvedProps = resolveRuntimeProps(type, runtime, hostProps, attributes);
+
+  const pictureSources = type === 'img' ? getPictureSources(resolvedProps) : null;
+  if (pictureSources) {
+    return renderPicture(pictureSources, { ...resolvedProps, ref: hostRef });
+  }
+
+  return ReactCreateElement(type, { ...resolvedProps, ref: hostRef });
+});
+
+IntegrityHost.displayName = 'IntegrityHost';
+
+/**
+ * <picture> with one typed <source> per negotiated format around the <img>
+ */
+function renderPicture(sources, imgProps) {
+  return ReactCreateElement('picture', null,
+    ...sources.map(source => ReactCreateElement('source', {
+      key: source.type,
+      type: source.type,
+      srcSet: source.srcSet,
+      sizes: imgProps.sizes
+    })),
+    ReactCreateElement('img', { ...imgProps, key: 'img' })
+  );
+}
+
+/**
+ * Host <img> expanded into <picture> by the `pictureSources` option
+ */
+const IntegrityPicture = React.forwardRef((props, ref) => {
+  const { __integritySources: sources, ...imgProps } = props;
+  return renderPicture(sources, { ...imgProps, ref });
+});
+
+IntegrityPicture.displayName = 'IntegrityPicture';
+
+/**
+ * Host <img> rendered before format detection finished; re-renders its loader URL once it lands
+ */
+const IntegrityFormatImage = React.forwardRef((props, ref) => {
+  const { __integrityAttributes: attributes, ...imgProps } = props;
+  usePreferredImageFormat();
+  return ReactCreateElement('img', { ...finalizeIntegrityProps('img', imgProps, attributes), ref });
+});
+
+IntegrityFormatImage.displayName = 'IntegrityFormatImage';
+
+/**
+ * Resolve the element type and props to render, routing host elements with runtime attributes through IntegrityHost
+ * `declared` holds the attributes written on the element, `optimized` the props and attributes after device defaults.
+ */
+function resolveIntegrityElement(type, declared, optimized) {
+  if (typeof type !== 'string') {
+    return { type, props: finalizeIntegrityProps(type, optimized.props, optimized.attributes), attributes: optimized.attributes };
+  }
+
+  const runtimes = prepareAttributeRuntimes({ type, props: optimized.props, attributes: optimized.attributes, declared });
+  const effectAttributes = getEffectAttributes(optimized.attributes);
+
+  if (runtimes || effectAttributes) {
+    return {
+      type: IntegrityHost,
+      props: {
+        ...optimized.props,
+        __integrityType: type,
+        __integrityAttributes: optimized.attributes,
+        __integrityRuntimes: runtimes,
+        __integrityEffects: effectAttributes
+      },
+      attributes: optimized.attributes
+    };
+  }
+
+  const props = finalizeIntegrityProps(type, optimized.props, optimized.attributes);
+  const pictureSources = type === 'img' ? getPictureSources(props) : null;
+  if (pictureSources) {
+    return { type: IntegrityPicture, props: { ...props, __integritySources: pictureSources }, attributes: optimized.attributes };
+  }
+  if (type === 'img' && isImageFormatPending() && resolveImageLoader()) {
+    return {
+      type: IntegrityFormatImage,
+      props: { ...optimized.props, __integrityAttributes: optimized.attributes },
+      attributes: optimized.attributes
+    };
+  }
+
+  return { type, props, attributes: optimized.attributes };
+}
+
+/**
+ * Remember the resolved attributes of a created element; returns the element
+ */
+export function recordElementAttributes(element, attributes) {
+  if (element && typeof element === 'object' && attributes && Object.keys(attributes).length > 0) {
+    elementAttributes.set(element, attributes);
+  }
+  return element;
+}
+
+/**
+ * Resolved performance attributes of an element created by Integrity.js (JavaScript-safe)
+ * Returns null for elements without attributes.
+ */
+export function getElementAttributes(element) {
+  return (element && typeof element === 'object' && elementAttributes.get(element)) || null;
+}
+
+/**
+ * Split, optimize and resolve an element's props
+ * Elements that declare no attribute are not optimized: they render exactly as written.
+ */
+function prepareElement(type, props, source) {
+  if (!hasIntegrityAttributes(props)) {
+    return { type, props: props || {}, attributes: null };
+  }
+
+  const declared = processMobileAttributes(props || {}, getComponentName(type), source);
+  const optimized = applyMobileOptimizations(declared.props, declared.attributes);
+  return resolveIntegrityElement(type, declared.attributes, optimized);
+}
+
+/**
+ * Process attributes for an element without creating it (used by the JSX runtimes)
+ * Children stay in props; `source` is the dev-mode location used in diagnostics.
+ */
+export function prepareIntegrityElement(type, props, source) {
+  // Fragments accept only key and children
+  if (type === React.Fragment) {
+    return { type, props: props || {} };
+  }
+
+  try {
+    return prepareElement(type, props, source);
+  } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
+    console.warn('Error preparing Integrity element:', error);
+    return { type, props: props || {} };
+  }
+}
+
+// Descriptors whose static attributes have already been validated
+const validatedDescriptors = new WeakSet();
+
+/**
+ * Create an element from attributes precompiled by `integrity.js/babel-plugin` (JavaScript-safe)
+ *
+ * `descriptor` is hoisted to module scope by the plugin: `{ attributes, source }` holds the
+ * literal attribute values, validated once per call site. `dynamicAttributes` holds
+ * expression values (or null) and is validated on every render like regular props.
+ * `props` only holds performance attributes when the element spreads props (`descriptor.spread`).
+ */
+export function createPrecompiledElement(type, props, descriptor, dynamicAttributes, ...children) {
+  try {
+    const componentName = getComponentName(type);
+    const source = descriptor.source;
+    // Only elements with spread props still need the prop loop
+    const declared = descriptor.spread ?
+      processMobileAttributes(props || {}, componentName, source) :
+      { props: props || {}, attributes: null };
+    // The plugin hoists only attributes written after the last spread, so they win over it
+    const attributes = { ...declared.attributes, ...descriptor.attributes, ...dynamicAttributes };
+
+    if (isValidationEnabled()) {
+      if (!validatedDescriptors.has(descriptor)) {
+        Object.keys(descriptor.attributes).forEach(key => {
+          validateMobileAttribute(key, descriptor.attributes[key], componentName, source);
+        });
+        validatedDescriptors.add(descriptor);
+      }
+      Object.keys(dynamicAttributes || {}).forEach(key => {
+        validateMobileAttribute(key, dynamicAttributes[key], componentName, source);
+      });
+    }
+
+    const optimized = applyMobileOptimizations(declared.props, attributes);
+    if (children.length > 0) {
+      optimized.props.children = children.length === 1 ? children[0] : children;
+    }
+
+    const resolved = resolveIntegrityElement(type, attributes, optimized);
+    return recordElementAttributes(createResolvedElement(resolved, children), resolved.attributes);
+  } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
+    console.warn('Error creating precompiled Integrity element:', error);
+    return ReactCreateElement(type, props || {}, ...children);
+  }
+}
+
+/**
+ * createElement for a resolved element; children stay positional so React validates their keys
+ * (they are also in props so virtualization could count them)
+ */
+function createResolvedElement(resolved, children) {
+  if (children.length === 0) return ReactCreateElement(resolved.type, resolved.props);
+
+  const props = { ...resolved.props };
+  delete props.children;
+  return ReactCreateElement(resolved.type, props, ...children);
+}
+
+/**
+ * Run the registered attribute transforms (mobile-quality's image loader among them) on the
+ * final attribute values and attach the attribute record
+ */
+function finalizeIntegrityProps(type, props, attributes) {
+  const transformed = applyAttributeTransforms(attributes, props, { ...getDeviceProfile(), type });
+  return attachDebugAttributes(type === 'img' ? attachImageCache(transformed, attributes) : transformed, attributes);
+}
+
+/**
+ * Decode an off-DOM copy of a loaded image (served from the HTTP cache) and cache it, so the
+ * cache never keeps the rendered <img>, its listeners or its fiber alive after unmount
+ */
+function cacheDecodedImage(cache, src, attributes) {
+  if (typeof Image === 'undefined') return;
+
+  const image = new Image();
+  const put = () => cache.put(src, image, { priority: attributes['memory-priority'], limit: attributes['memory-limit'] });
+  image.decoding = 'async';
+  image.src = src;
+  if (typeof image.decode === 'function') {
+    image.decode().then(put, () => {});
+  } else {
+    image.onload = put;
+  }
+}
+
+/**
+ * Fill the image cache from loaded <img> elements, sized and evicted by their memory attributes
+ * The element path only fills the cache; useSmartImage reads it.
+ */
+function attachImageCache(props, attributes) {
+  if (!props || !props.src || typeof window === 'undefined') return props;
+
+  const onLoad = props.onLoad;
+  return {
+    ...props,
+    onLoad: (event) => {
+      try {
+        const cache = getImageCache();
+        const element = event && event.currentTarget;
+        const src = element && (element.currentSrc || element.src);
+        // has() rather than lookup(): this is not a read, so it must not count as a hit or miss
+        if (cache && src && !cache.has(src)) cacheDecodedImage(cache, src, attributes);
+      } catch (error) {
+        console.warn('Error caching Integrity image:', error);
+      }
+      if (typeof onLoad === 'function') onLoad(event);
+    }
   };
+}
+
+/**
+ * Serialize resolved attributes onto the element when `debugAttributes` is enabled
+ */
+function attachDebugAttributes(props, attributes) {
+  if (Object.keys(attributes).length === 0 || !isDebugAttributes()) return props;
+
+  try {
+    return { ...props, 'data-integrity-props': JSON.stringify(attributes) };
+  } catch (error) {
+    console.warn('Error updating integrity props:', error);
+    return props;
+  }
+}
+
+/**
+ * Resolved attributes when any of them registered a runtime effect
+ */
+function getEffectAttributes(attributes) {
+  return hasAttributeEffects(attributes) ? attributes : null;
+}
+
+/**
+ * Memory budget status reported by the attribute hooks ('active' unless one says otherwise)
+ */
+function getRuntimeStatus(runtime) {
+  const result = runtime.find(entry => entry.status && entry.status !== 'active');
+  return result ? result.status : 'active';
+}
+
+/**
+ * Element an attribute hook renders in place of the host (an evicted placeholder), if any
+ */
+function getRuntimeElement(runtime) {
+  const result = runtime.find(entry => entry.element !== undefined);
+  return result ? result.element : undefined;
+}
 
+/**
+ * Props to render after the attribute hooks ran: their prop and attribute overrides go in
+ * before the transforms, their finalize steps (deferred sources, windowed children) after
+ */
+function resolveRuntimeProps(type, runtime, props, attributes) {
+  let currentProps = props;
+  let currentAttributes = attributes;
+  runtime.forEach(result => {
+    if (result.props) currentProps = { ...currentProps, ...result.props };
+    if (result.attributes) currentAttributes = { ...currentAttributes, ...result.attributes };
+  });
+
+  let resolved = finalizeIntegrityProps(type, currentProps, currentAttributes);
+  runtime.forEach(result => {
+    if (result.finalize) resolved = result.finalize(resolved);
+  });
+  return resolved;
+}
+
+/**
+ * Readable name for diagnostics: the tag for host elements, else the display name
+ */
+function getComponentName(type) {
+  if (typeof type === 'string') return type;
+  return (type && (type.displayName || type.name)) || 'Component';
+}
+
+/**
+ * Split mobile-first attributes from regular props, validating them (JavaScript-safe)
+ * Returns `{ props, attributes }`.
+ */
+function processMobileAttributes(props, componentName, source) {
   const regularProps = {};
   const integrityProps = {};
+  const validate = isValidationEnabled();
 
   try {
     Object.keys(props || {}).forEach(key => {
-      if (mobileAttrs[key]) {
+      if (isIntegrityAttribute(key)) {
         integrityProps[key] = props[key];
         
-        // Enhanced validation in development (JavaScript-safe)
-        if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'development') {
-          validateMobileAttribute(key, props[key]);
+        // Enhanced validation outside production, or whenever strict mode / a collector asks for it
+        if (validate) {
+          validateMobileAttribute(key, props[key], componentName, source);
         }
       } else {
         regularProps[key] = props[key];
       }
     });
-
-    // Store integrity props for processing
-    if (Object.keys(integrityProps).length > 0) {
-      regularProps['data-integrity-props'] = JSON.stringify(integrityProps);
-    }
   } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
     console.warn('Error processing mobile attributes:', error);
-    return props || {};
+    return { props: props || {}, attributes: {} };
   }
 
-  return regularProps;
+  return { props: regularProps, attributes: integrityProps };
 }
 
 /**
- * Enhanced mobile attribute validation (JavaScript-safe)
+ * Enhanced mobile attribute validation against the attribute registry (JavaScript-safe)
  */
-function validateMobileAttribute(attrName, value) {
-  try {
-    switch (attrName) {
-      case 'memory-limit':
-        if (typeof value === 'string' && !value.match(/^\d+(MB|GB|KB)$/i)) {
-          console.warn(
-            `[Integrity.js] Invalid memory-limit value: "${value}". Expected format: "50MB", "1GB", "500KB"`
-          );
-        }
-        break;
-        
-      case 'performance-budget':
-        if (typeof value === 'string' && !value.match(/^\d+(ms|fps)$/i)) {
-          console.warn(
-            `[Integrity.js] Invalid performance-budget value: "${value}". Expected format: "16ms" or "60fps"`
-          );
-        }
-        break;
-        
-      case 'device-target':
-        if (!['mobile', 'desktop', 'tablet', 'low-end', 'high-end', 'auto'].includes(value)) {
-          console.warn(
-            `[Integrity.js] Invalid device-target value: "${value}". Expected: mobile, desktop, tablet, low-end, high-end, or auto`
-          );
-        }
-        break;
-        
-      case 'mobile-quality':
-        if (!['auto', 'high', 'medium', 'low'].includes(value)) {
-          console.warn(
-            `[Integrity.js] Invalid mobile-quality value: "${value}". Expected: auto, high, medium, or low`
-          );
-        }
-        break;
-        
-      case 'memory-priority':
-        if (!['high', 'medium', 'low'].includes(value)) {
-          console.warn(
-            `[Integrity.js] Invalid memory-priority value: "${value}". Expected: high, medium, or low`
-          );
-        }
-        break;
-        
-      case 'fps-target':
-        if (typeof value === 'string') {
-          const fps = parseInt(value);
-          if (isNaN(fps) || fps < 15 || fps > 120) {
-            console.warn(
-              `[Integrity.js] Invalid fps-target value: "${value}". Expected: number between 15-120`
-            );
-          }
-        }
-        break;
-        
-      case 'touch-delay':
-        if (typeof value === 'string' && !value.match(/^\d+(ms)$/i)) {
-          console.warn(
-            `[Integrity.js] Invalid touch-delay value: "${value}". Expected format: "0ms", "50ms"`
-          );
-        }
-        break;
-        
-      case 'lazy-threshold':
-        if (typeof value === 'string' && !value.match(/^\d+(px|%)$/i)) {
-          console.warn(
-            `[Integrity.js] Invalid lazy-threshold value: "${value}". Expected format: "100px", "50%"`
-          );
-        }
-        break;
-        
-      case 'virtual-threshold':
-        if (typeof value === 'string') {
-          const threshold = parseInt(value);
-          if (isNaN(threshold) || threshold < 10) {
-            console.warn(
-              `[Integrity.js] Invalid virtual-threshold value: "${value}". Expected: number >= 10`
-            );
-          }
-        }
-        break;
-    }
-  } catch (error) {
-    console.warn('Error validating mobile attribute:', error);
+function validateMobileAttribute(attrName, value, componentName, source) {
+  const issue = validateIntegrityAttribute(attrName, value);
+  if (issue) {
+    reportIntegrityDiagnostic({ ...issue, component: componentName, source });
   }
 }
 
+let deviceProfile = null;
+
+/**
+ * Device class from the user agent and hardware - fixed for the page's lifetime, so read once
+ */
+function getLiveDeviceProfile() {
+  // Node 21+ has a global navigator; a server render without a snapshot still gets the defaults
+  if (typeof window === 'undefined' || typeof navigator === 'undefined') return { isMobile: false, isLowEnd: false };
+
+  if (!deviceProfile) {
+    deviceProfile = {
+      isMobile: /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent),
+      isLowEnd: navigator.hardwareConcurrency <= 2 || navigator.deviceMemory <= 2
+    };
+  }
+  return deviceProfile;
+}
+
+/**
+ * Device class and network speed used for attribute defaults
+ * A device snapshot (server request, hydration or simulation profile) takes precedence
+ * field by field so server, client and QA runs agree.
+ */
+function getDeviceProfile() {
+  const snapshot = getDeviceSnapshot();
+  const device = (snapshot && snapshot.device) || {};
+  const network = (snapshot && snapshot.network) || {};
+
+  const needsLive = typeof device.isMobile !== 'boolean' || typeof device.isLowEnd !== 'boolean';
+  const live = needsLive ? getLiveDeviceProfile() : null;
+
+  // Connection quality changes during a session, so it is read live
+  const effectiveType = network.effectiveType ||
+    (typeof window !== 'undefined' && typeof navigator !== 'undefined' && navigator.connection ? navigator.connection.effectiveType : null);
+
+  return {
+    isMobile: typeof device.isMobile === 'boolean' ? device.isMobile : live.isMobile,
+    isLowEnd: typeof device.isLowEnd === 'boolean' ? device.isLowEnd : live.isLowEnd,
+    isSlowNetwork: ['slow-2g', '2g'].includes(effectiveType)
+  };
+}
+
 /**
  * Apply mobile optimizations based on device (JavaScript-safe)
+ * Returns `{ props, attributes }` with device defaults filled in.
  */
-function applyMobileOptimizations(props) {
-  const optimizedProps = { ...props };
+function applyMobileOptimizations(props, attributes) {
+  // Copy style too: writing into the caller's object would leak into every render that shares it
+  let optimizedProps = props.style ? { ...props, style: { ...props.style } } : { ...props };
+  const integrityProps = { ...attributes };
+  // Only elements that get a style rule receive a style prop
+  const getStyle = () => {
+    if (!optimizedProps.style) optimizedProps.style = {};
+    return optimizedProps.style;
+  };
   
   try {
     // Safe device detection with fallbacks for SSR and older browsers
-    const isMobile = typeof navigator !== 'undefined' ? 
-      /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) : 
-      false;
-      
-    const isLowEnd = typeof navigator !== 'undefined' ? 
-      (navigator.hardwareConcurrency <= 2 || navigator.deviceMemory <= 2) : 
-      false;
-      
-    const isSlowNetwork = typeof navigator !== 'undefined' && navigator.connection ? 
-      ['slow-2g', '2g'].includes(navigator.connection.effectiveType) : 
-      false;
-
-    // Get integrity props for processing (JavaScript-safe)
-    let integrityProps = {};
-    try {
-      if (props['data-integrity-props']) {
-        integrityProps = JSON.parse(props['data-integrity-props']);
-      }
-    } catch (error) {
-      console.warn('Error parsing integrity props:', error);
-    }
+    const { isMobile, isLowEnd, isSlowNetwork } = getDeviceProfile();
 
     // Auto-apply mobile optimizations
     if (isMobile || integrityProps['device-target'] === 'mobile') {
       // Remove 300ms touch delay
-      if (!optimizedProps.style) optimizedProps.style = {};
-      optimizedProps.style.touchAction = optimizedProps.style.touchAction || 'manipulation';
+      getStyle().touchAction = getStyle().touchAction || 'manipulation';
       
       // Auto-apply memory optimizations for images
       if (props.src && !integrityProps['mobile-quality']) {
@@ -242,9 +585,8 @@ function applyMobileOptimizations(props) {
     // Auto-apply low-end device optimizations
     if (isLowEnd || integrityProps['device-target'] === 'low-end') {
       // Disable animations and complex layouts on low-end devices
-      if (!optimizedProps.style) optimizedProps.style = {};
-      optimizedProps.style.willChange = 'auto';
-      optimizedProps['data-low-end'] = 'true';
+      getStyle().willChange = 'auto';
+      if (isDebugAttributes()) optimizedProps['data-low-end'] = 'true';
       
       // Set conservative performance budget
       if (!integrityProps['performance-budget']) {
@@ -315,43 +657,39 @@ function applyMobileOptimizations(props) {
       });
     }
 
-    // Update integrity props if they were modified
-    if (Object.keys(integrityProps).length > 0) {
-      try {
-        optimizedProps['data-integrity-props'] = JSON.stringify(integrityProps);
-      } catch (error) {
-        console.warn('Error updating integrity props:', error);
-      }
+    // Sources without a quality from the rules above still go through the imageLoader at "auto"
+    if (props.src && !integrityProps['mobile-quality']) {
+      integrityProps['mobile-quality'] = 'auto';
     }
 
-    // Apply CSS optimizations based on device capabilities
-    if (!optimizedProps.style) optimizedProps.style = {};
-    
     // Optimize rendering performance
     if (isLowEnd) {
-      optimizedProps.style.transform = optimizedProps.style.transform || 'translateZ(0)';
-      optimizedProps.style.backfaceVisibility = 'hidden';
+      getStyle().transform = getStyle().transform || 'translateZ(0)';
+      getStyle().backfaceVisibility = 'hidden';
     }
     
     // Optimize touch interactions
     if (isMobile) {
-      optimizedProps.style.touchAction = optimizedProps.style.touchAction || 'manipulation';
-      optimizedProps.style.webkitTapHighlightColor = 'transparent';
+      getStyle().touchAction = getStyle().touchAction || 'manipulation';
+      getStyle().webkitTapHighlightColor = 'transparent';
     }
 
   } catch (error) {
     console.warn('Error applying mobile optimizations:', error);
   }
 
-  return optimizedProps;
+  return { props: optimizedProps, attributes: integrityProps };
 }
 
 /**
  * Enhanced memory cleanup function (JavaScript-safe)
+ * Runs the registered cleanup handlers for a pressure level ('moderate' or 'critical'),
+ * lowest priority first. `reason` is reported to telemetry: 'auto' from performance
+ * monitoring, 'manual' otherwise. Returns the cleanup report, or false on failure.
  */
-function triggerIntegrityCleanup() {
+export function triggerIntegrityCleanup(level = 'critical', reason = 'manual') {
   try {
-    console.log('?完 Integrity.js: Enhanced memory cleanup triggered');
+    console.log(`?完 Integrity.js: Enhanced memory cleanup triggered (${level})`);
     
     // Force garbage collection if available
     if (typeof window !== 'undefined' && window.gc) {
@@ -359,27 +697,21 @@ function triggerIntegrityCleanup() {
       console.log('?完 Forced garbage collection completed');
     }
     
-    // Clear Integrity.js specific caches
-    if (typeof window !== 'undefined' && window.__INTEGRITY_CACHE__) {
-      const cacheSize = window.__INTEGRITY_CACHE__.size || 0;
-      window.__INTEGRITY_CACHE__.clear();
-      console.log(`?完 Cleared Integrity cache (${cacheSize} items)`);
-    }
-    
-    // Clear image caches if memory is critical
-    if (typeof window !== 'undefined' && window.__INTEGRITY_IMAGE_CACHE__) {
-      const imageCount = window.__INTEGRITY_IMAGE_CACHE__.size || 0;
-      window.__INTEGRITY_IMAGE_CACHE__.clear();
-      console.log(`?完 Cleared image cache (${imageCount} images)`);
-    }
+    const report = runCleanupHandlers(level, reason);
+    report.handlers.forEach(result => {
+      if (result.freed > 0) {
+        console.log(`?完 ${result.name} released ${Math.round(result.freed / 1024)}KB`);
+      }
+    });
     
-    // Clear any texture caches for Three.js applications
-    if (typeof window !== 'undefined' && window.__INTEGRITY_TEXTURE_CACHE__) {
-      window.__INTEGRITY_TEXTURE_CACHE__.clear();
-      console.log('?完 Cleared texture cache');
-    }
+    recordIntegrityEvent('cleanup', {
+      reason,
+      level: report.level,
+      released: report.freed,
+      handlers: report.handlers.map(({ name, freed, error }) => ({ name, freed, error }))
+    });
     
-    return true;
+    return report;
   } catch (error) {
     console.warn('Error during Integrity cleanup:', error);
     return false;
@@ -391,15 +723,14 @@ function triggerIntegrityCleanup() {
  */
 export function integrityJsx(type, props, ...children) {
   try {
-    const enhancedProps = processMobileAttributes(props || {});
-    const optimizedProps = applyMobileOptimizations(enhancedProps);
-    
-    if (children.length > 0) {
-      optimizedProps.children = children.length === 1 ? children[0] : children;
-    }
+    const childProps = children.length > 0 ?
+      { ...props, children: children.length === 1 ? children[0] : children } :
+      props;
+    const resolved = prepareElement(type, childProps);
     
-    return ReactCreateElement(type, optimizedProps);
+    return recordElementAttributes(createResolvedElement(resolved, children), resolved.attributes);
   } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
     console.warn('Error creating Integrity JSX:', error);
     // Fallback to regular React createElement
     return ReactCreateElement(type, props || {}, ...children);
@@ -411,15 +742,14 @@ export function integrityJsx(type, props, ...children) {
  */
 export function createIntegrityElement(type, props, ...children) {
   try {
-    const enhancedProps = processMobileAttributes(props || {});
-    const optimizedProps = applyMobileOptimizations(enhancedProps);
+    const childProps = children.length > 0 ?
+      { ...props, children: children.length === 1 ? children[0] : children } :
+      props;
+    const resolved = prepareElement(type, childProps);
     
-    if (children.length > 0) {
-      optimizedProps.children = children.length === 1 ? children[0] : children;
-    }
-    
-    return ReactCreateElement(type, optimizedProps);
+    return recordElementAttributes(createResolvedElement(resolved, children), resolved.attributes);
   } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
     console.warn('Error creating Integrity element:', error);
     // Fallback to regular React createElement
     return ReactCreateElement(type, props || {}, ...children);
@@ -440,15 +770,19 @@ export function cloneIntegrityElement(element, props, ...children) {
       return element;
     }
     
-    const enhancedProps = processMobileAttributes(props || {});
-    const optimizedProps = applyMobileOptimizations(enhancedProps);
+    const declared = processMobileAttributes(props || {}, getComponentName(element.type));
+    const optimized = applyMobileOptimizations(declared.props, declared.attributes);
+    const optimizedProps = attachDebugAttributes(optimized.props, optimized.attributes);
     
     if (children.length > 0) {
       optimizedProps.children = children.length === 1 ? children[0] : children;
     }
     
-    return ReactCloneElement(element, optimizedProps);
+    const clone = ReactCloneElement(element, optimizedProps);
+    const inherited = getElementAttributes(element);
+    return recordElementAttributes(clone, inherited ? { ...inherited, ...optimized.attributes } : optimized.attributes);
   } catch (error) {
+    if (error instanceof IntegrityValidationError) throw error;
     console.warn('Error cloning Integrity element:', error);
     // Fallback to regular React cloneElement
     return ReactCloneElement(element, props || {}, ...children);
@@ -469,13 +803,15 @@ export function autoEnhance(Component) {
   return React.forwardRef((props, ref) => {
     try {
       // Automatically detect and apply mobile optimizations
-      const deviceAwareProps = applyAutoOptimizations(props || {});
+      const declared = processMobileAttributes(props || {}, getComponentName(Component));
+      const deviceAware = applyAutoOptimizations(declared.props, declared.attributes);
+      const resolved = resolveIntegrityElement(Component, declared.attributes, deviceAware);
+      const debugProps = isDebugAttributes() ? { 'data-integrity-auto': 'true' } : null;
       
-      return ReactCreateElement(Component, {
-        ...deviceAwareProps,
-        ref,
-        'data-integrity-auto': 'true'
-      });
+      return recordElementAttributes(
+        ReactCreateElement(resolved.type, { ...resolved.props, ...debugProps, ref }),
+        resolved.attributes
+      );
     } catch (error) {
       console.warn('Error auto-enhancing component:', error);
       // Fallback to regular component
@@ -486,58 +822,68 @@ export function autoEnhance(Component) {
 
 /**
  * Apply automatic optimizations based on current device state (JavaScript-safe)
+ * Returns `{ props, attributes }`; adjusted attributes never become DOM props.
  */
-function applyAutoOptimizations(props) {
+function applyAutoOptimizations(props, attributes) {
   const optimizedProps = { ...props };
+  const integrityProps = { ...attributes };
+  const debug = isDebugAttributes();
   
   try {
     // Auto-detect current device state
     if (typeof window !== 'undefined') {
       let currentMemory = 0.5; // Default fallback
+      const snapshot = getDeviceSnapshot();
+      const snapshotMemory = snapshot && snapshot.memory;
       
-      if (performance && performance.memory) {
+      if (snapshotMemory && snapshotMemory.heapLimit) {
+        currentMemory = snapshotMemory.used / snapshotMemory.heapLimit;
+      } else if (performance && performance.memory) {
         currentMemory = performance.memory.usedJSHeapSize / performance.memory.jsHeapSizeLimit;
       }
       
       const isMemoryConstrained = currentMemory > 0.8;
-      const isSlowDevice = navigator.hardwareConcurrency <= 2;
-      const hasLowMemory = navigator.deviceMemory <= 2;
+      const device = (snapshot && snapshot.device) || {};
+      const isSlowDevice = typeof device.isLowEnd === 'boolean' ? device.isLowEnd : navigator.hardwareConcurrency <= 2;
+      const hasLowMemory = typeof device.memoryGB === 'number' ? device.memoryGB <= 2 : navigator.deviceMemory <= 2;
       
       // Apply automatic optimizations
       if (isMemoryConstrained || isSlowDevice || hasLowMemory) {
-        optimizedProps['data-auto-optimized'] = 'memory-constrained';
+        if (debug) optimizedProps['data-auto-optimized'] = 'memory-constrained';
         
         // Reduce image quality automatically
-        if (props.src && !props['mobile-quality']) {
-          optimizedProps['mobile-quality'] = 'low';
+        if (props.src && !integrityProps['mobile-quality']) {
+          integrityProps['mobile-quality'] = 'low';
         }
         
         // Enable aggressive cleanup
-        optimizedProps['auto-cleanup'] = 'true';
-        optimizedProps['memory-limit'] = '30MB';
+        integrityProps['auto-cleanup'] = 'true';
+        integrityProps['memory-limit'] = '30MB';
         
         // Reduce performance budget
-        if (!props['performance-budget']) {
-          optimizedProps['performance-budget'] = '30fps';
+        if (!integrityProps['performance-budget']) {
+          integrityProps['performance-budget'] = '30fps';
         }
       }
       
       // Auto-optimize for very high-end devices
       if (!isSlowDevice && !hasLowMemory && currentMemory < 0.3) {
-        optimizedProps['data-auto-optimized'] = 'high-performance';
-        optimizedProps['performance-budget'] = '60fps';
-        optimizedProps['memory-limit'] = '200MB';
+        if (debug) optimizedProps['data-auto-optimized'] = 'high-performance';
+        integrityProps['performance-budget'] = '60fps';
+        integrityProps['memory-limit'] = '200MB';
       }
     }
   } catch (error) {
     console.warn('Error applying auto optimizations:', error);
   }
   
-  return optimizedProps;
+  return { props: optimizedProps, attributes: integrityProps };
 }
 
 /**
  * Performance monitoring and automatic adjustment (JavaScript-safe)
+ * Also starts Web Vitals collection; every sample carries the latest `vitals`, and
+ * `fps`/`frames` from the shared frame sampler while it runs.
  */
 export function createPerformanceObserver(callback) {
   try {
@@ -546,6 +892,9 @@ export function createPerformanceObserver(callback) {
       return null;
     }
     
+    // LCP, CLS, INP and long tasks need buffered per-type observation; one shared observer feeds every consumer
+    observeWebVitals();
+    
     const observer = new PerformanceObserver((list) => {
       try {
         const entries = list.getEntries();
@@ -572,13 +921,12 @@ export function createPerformanceObserver(callback) {
           }
         });
         
-        // Calculate FPS from frame timing
-        const now = performance.now();
-        const lastFrameTime = window.__lastFrameTime || now;
-        const frameDelta = now - lastFrameTime;
-        const fps = frameDelta > 0 ? Math.round(1000 / frameDelta) : 60;
-        window.__lastFrameTime = now;
-        performanceData.fps = Math.min(fps, 120); // Cap at 120fps
+        // Observer callbacks follow entries, not frames; FPS comes from the frame sampler
+        const frameStats = getFrameStats();
+        if (frameStats) {
+          performanceData.fps = frameStats.fps;
+          performanceData.frames = frameStats;
+        }
         
         // Get memory info
         if (performance.memory) {
@@ -586,6 +934,8 @@ export function createPerformanceObserver(callback) {
           performanceData.memoryUsed = Math.round(performance.memory.usedJSHeapSize / 1024 / 1024);
         }
         
+        performanceData.vitals = getWebVitals();
+        
         callback(performanceData);
       } catch (error) {
         console.warn('Error in performance observer callback:', error);
@@ -613,6 +963,86 @@ export function createPerformanceObserver(callback) {
   }
 }
 
+// Auto-cleanup at most this often while FPS or memory stay over the thresholds (escalating to critical excepted)
+const CLEANUP_COOLDOWN = 10000;
+// Consecutive frame reports a pressure level must hold before cleanup runs at it, so one slow second doesn't
+const CLEANUP_SUSTAINED_REPORTS = 3;
+
+let stopFrameMonitoring = null;
+let lastAutoCleanup = 0;
+let lastAutoLevel = null;
+let moderateReports = 0;
+let criticalReports = 0;
+
+function stopMonitoring() {
+  if (stopFrameMonitoring) {
+    stopFrameMonitoring();
+    stopFrameMonitoring = null;
+  }
+  if (window.__INTEGRITY_PERFORMANCE_OBSERVER__) {
+    window.__INTEGRITY_PERFORMANCE_OBSERVER__.disconnect();
+    delete window.__INTEGRITY_PERFORMANCE_OBSERVER__;
+  }
+}
+
+/**
+ * Memory pressure level for a frame report, or null when under both thresholds
+ * 'critical' is past the midpoint between `cleanupThreshold` and a full heap, or under half of `frameDropThreshold`.
+ */
+function getPressureLevel(fps, memoryUsage, config) {
+  const criticalUsage = config.cleanupThreshold + (1 - config.cleanupThreshold) / 2;
+  if (memoryUsage > criticalUsage || fps < config.frameDropThreshold / 2) return 'critical';
+  if (memoryUsage > config.cleanupThreshold || fps < config.frameDropThreshold) return 'moderate';
+  return null;
+}
+
+/**
+ * Frame sampler report: run cleanup handlers when FPS drops under `frameDropThreshold` or the heap passes `cleanupThreshold`
+ * for CLEANUP_SUSTAINED_REPORTS reports in a row.
+ */
+function checkAutoCleanup(frameStats) {
+  try {
+    // A background tab's frame rate says nothing about memory pressure
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+      moderateReports = 0;
+      criticalReports = 0;
+      return;
+    }
+    
+    const config = window.__INTEGRITY_CONFIG__ || {};
+    const memory = typeof performance !== 'undefined' ? performance.memory : null;
+    const memoryUsage = memory && memory.jsHeapSizeLimit ? memory.usedJSHeapSize / memory.jsHeapSizeLimit : 0;
+    
+    const pressure = getPressureLevel(frameStats.fps, memoryUsage, config);
+    moderateReports = pressure ? moderateReports + 1 : 0;
+    criticalReports = pressure === 'critical' ? criticalReports + 1 : 0;
+    
+    if (!pressure) {
+      // Pressure has cleared: bring back what auto-cleanup evicted or degraded, and re-arm escalation
+      if (lastAutoLevel) restoreMemoryBudgets();
+      lastAutoLevel = null;
+      return;
+    }
+    
+    let level = null;
+    if (criticalReports >= CLEANUP_SUSTAINED_REPORTS) level = 'critical';
+    else if (moderateReports >= CLEANUP_SUSTAINED_REPORTS) level = 'moderate';
+    
+    const now = Date.now();
+    const escalated = level === 'critical' && lastAutoLevel !== 'critical';
+    
+    if (level && config.enableCleanup !== false && (escalated || now - lastAutoCleanup >= CLEANUP_COOLDOWN)) {
+      lastAutoCleanup = now;
+      lastAutoLevel = level;
+      moderateReports = 0;
+      criticalReports = 0;
+      triggerIntegrityCleanup(level, 'auto');
+    }
+  } catch (error) {
+    console.warn('Error in performance monitoring callback:', error);
+  }
+}
+
 /**
  * Global configuration for Integrity.js (JavaScript-safe)
  */
@@ -623,12 +1053,6 @@ export function configureIntegrity(config = {}) {
       if (!window.__INTEGRITY_CACHE__) {
         window.__INTEGRITY_CACHE__ = new Map();
       }
-      if (!window.__INTEGRITY_IMAGE_CACHE__) {
-        window.__INTEGRITY_IMAGE_CACHE__ = new Map();
-      }
-      if (!window.__INTEGRITY_TEXTURE_CACHE__) {
-        window.__INTEGRITY_TEXTURE_CACHE__ = new Map();
-      }
       
       // Set configuration
       window.__INTEGRITY_CONFIG__ = {
@@ -643,23 +1067,27 @@ export function configureIntegrity(config = {}) {
         ...config
       };
       
-      // Initialize performance monitoring if enabled
+      // Install the image and texture caches, evicting down to the budgets if memoryLimit shrank
+      getImageCache().trim();
+      getTextureCache().trim();
+      
+      // Detect AVIF/WebP support once so later image URLs can ask for them
+      detectImageFormats();
+      
+      // Apply (or drop) a `simulate` profile; query parameter and localStorage still win
+      refreshSimulation();
+      
+      // Start (or stop) real-user monitoring
+      configureTelemetry(window.__INTEGRITY_CONFIG__.telemetry);
+      
+      // Initialize performance monitoring if enabled (replacing any earlier monitoring)
+      stopMonitoring();
       if (window.__INTEGRITY_CONFIG__.enableMonitoring) {
+        stopFrameMonitoring = subscribeFrames(checkAutoCleanup);
+        
         const observer = createPerformanceObserver((data) => {
-          try {
-            // Auto-adjust settings based on performance
-            const shouldCleanup = data.fps < window.__INTEGRITY_CONFIG__.frameDropThreshold || 
-                                 data.memoryUsage > window.__INTEGRITY_CONFIG__.cleanupThreshold;
-            
-            if (shouldCleanup) {
-              triggerIntegrityCleanup();
-            }
-            
-            // Store performance data
-            window.__INTEGRITY_PERFORMANCE__ = data;
-          } catch (error) {
-            console.warn('Error in performance monitoring callback:', error);
-          }
+          // Store performance data
+          window.__INTEGRITY_PERFORMANCE__ = data;
         });
         
         if (observer) {
@@ -693,9 +1121,15 @@ export function getIntegrityConfig() {
  */
 export function getIntegrityPerformance() {
   try {
-    return typeof window !== 'undefined' ? 
-      window.__INTEGRITY_PERFORMANCE__ || {} : 
-      {};
+    if (typeof window === 'undefined') return {};
+    
+    // Frames and vitals update between observer samples, so read them live
+    const frameStats = getFrameStats();
+    return {
+      ...window.__INTEGRITY_PERFORMANCE__,
+      ...(frameStats ? { fps: frameStats.fps, frames: frameStats } : null),
+      vitals: getWebVitals()
+    };
   } catch (error) {
     console.warn('Error getting Integrity performance data:', error);
     return {};
@@ -704,9 +1138,10 @@ export function getIntegrityPerformance() {
 
 /**
  * Manually trigger cleanup (JavaScript-safe)
+ * Runs every registered handler (critical pressure) and returns the cleanup report.
  */
 export function cleanup() {
-  return triggerIntegrityCleanup();
+  return triggerIntegrityCleanup('critical', 'manual');
 }
 
 /**
@@ -715,11 +1150,11 @@ export function cleanup() {
 export function dispose() {
   try {
     if (typeof window !== 'undefined') {
+      // Flush and stop telemetry
+      configureTelemetry(null);
+      
       // Stop performance monitoring
-      if (window.__INTEGRITY_PERFORMANCE_OBSERVER__) {
-        window.__INTEGRITY_PERFORMANCE_OBSERVER__.disconnect();
-        delete window.__INTEGRITY_PERFORMANCE_OBSERVER__;
-      }
+      stopMonitoring();
       
       // Clear all caches
       if (window.__INTEGRITY_CACHE__) {
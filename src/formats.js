@@ -0,0 +1,240 @@
+/**
+ * Integrity.js Image Format Negotiation
+ * Detects AVIF and WebP decode support once per browser, so enhanced images can ask
+ * the loader for a smaller format or expand into <picture> with typed sources
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getDeviceSnapshot } from './snapshot';
+
+export const IMAGE_FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp'
+};
+
+// Smallest first
+const FORMAT_PREFERENCE = ['avif', 'webp'];
+
+const STORAGE_KEY = 'integrity-image-formats';
+
+// 1x1 images; a browser that decodes them to a non-zero size supports the format
+const FORMAT_PROBES = {
+  avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+  webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+
+let detected = null;
+let detecting = null;
+// What the page's snapshot advertised, kept once hydration stops reading the snapshot
+let advertisedOnClient = null;
+const listeners = new Set();
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+// Results are kept per user agent so a browser update detects again
+function readStoredFormats() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && stored.userAgent === navigator.userAgent ? stored.formats : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function storeFormats(formats) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ userAgent: navigator.userAgent, formats }));
+  } catch (error) {
+    // Storage can be full or blocked; detection just runs again next page
+  }
+}
+
+function notify() {
+  listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.warn('Error in image format listener:', error);
+    }
+  });
+}
+
+function probeFormat(format) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => resolve(image.width > 0 && image.height > 0);
+    image.onerror = () => resolve(false);
+    image.src = FORMAT_PROBES[format];
+  });
+}
+
+/**
+ * Detect AVIF and WebP decode support, once per page (JavaScript-safe)
+ * Resolves to `{ avif, webp }`; the result is cached in localStorage for later visits.
+ */
+export function detectImageFormats() {
+  if (detected) return Promise.resolve(detected);
+  if (detecting) return detecting;
+  if (typeof window === 'undefined' || typeof Image === 'undefined') return Promise.resolve(null);
+
+  const stored = readStoredFormats();
+  if (stored) {
+    detected = stored;
+    notify();
+    return Promise.resolve(detected);
+  }
+
+  detecting = Promise.all(FORMAT_PREFERENCE.map(probeFormat))
+    .then(results => {
+      const formats = {};
+      FORMAT_PREFERENCE.forEach((format, index) => {
+        formats[format] = results[index];
+      });
+      detected = formats;
+      detecting = null;
+      storeFormats(formats);
+      notify();
+      return formats;
+    })
+    .catch(error => {
+      console.warn('Error detecting image formats:', error);
+      // Nothing is known; stop waiting for it and keep the original formats
+      detected = {};
+      detecting = null;
+      notify();
+      return null;
+    });
+
+  return detecting;
+}
+
+/**
+ * Formats known to decode here: the request snapshot's Accept header wins, then detection
+ * Returns null until something is known.
+ */
+export function getSupportedImageFormats() {
+  const snapshot = getDeviceSnapshot();
+  let advertised = snapshot && snapshot.imageFormats && Object.keys(snapshot.imageFormats).length > 0 ?
+    snapshot.imageFormats :
+    null;
+  if (typeof window !== 'undefined') {
+    if (advertised) advertisedOnClient = advertised;
+    else advertised = advertisedOnClient;
+  }
+
+  if (!advertised && !detected) return null;
+  return { ...detected, ...advertised };
+}
+
+/**
+ * Whether images rendered now would miss a format detection hasn't delivered yet (client only)
+ */
+export function isImageFormatPending() {
+  return typeof window !== 'undefined' && getAllowedFormats().length > 0 && getSupportedImageFormats() === null;
+}
+
+/**
+ * Listen for format detection finishing (starting it if needed); returns an unsubscribe function
+ */
+export function subscribeImageFormats(listener) {
+  listeners.add(listener);
+  detectImageFormats();
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+const noSubscription = () => () => {};
+
+/**
+ * The preferred format, re-rendering the caller when detection lands (JavaScript-safe)
+ * Pass false to read it without subscribing.
+ */
+export function usePreferredImageFormat(enabled = true) {
+  return useSyncExternalStore(enabled ? subscribeImageFormats : noSubscription, getPreferredImageFormat, getPreferredImageFormat);
+}
+
+/**
+ * Formats the `imageFormats` option allows (default avif and webp; false turns negotiation off)
+ */
+function getAllowedFormats() {
+  const allowed = getConfig().imageFormats;
+  if (allowed === false) return [];
+  return Array.isArray(allowed) ? FORMAT_PREFERENCE.filter(format => allowed.includes(format)) : FORMAT_PREFERENCE;
+}
+
+/**
+ * The smallest allowed format this browser decodes, or null to keep the original (JavaScript-safe)
+ */
+export function getPreferredImageFormat() {
+  const supported = getSupportedImageFormats();
+  if (!supported) return null;
+  return getAllowedFormats().find(format => supported[format]) || null;
+}
+
+function resolveFormatSource() {
+  const source = getConfig().pictureSources;
+  if (typeof source === 'function') return source;
+  if (typeof source === 'string') {
+    // '{base}' is the src without its extension, '{src}' the full src
+    return ({ src, format }) => {
+      const [path, query] = src.split('?');
+      const base = path.replace(/\.[a-z0-9]+$/i, '');
+      return source
+        .replace(/\{src\}/g, src)
+        .replace(/\{base\}/g, base)
+        .replace(/\{format\}/g, format) + (query && !source.includes('{src}') ? `?${query}` : '');
+    };
+  }
+  return null;
+}
+
+function mapSrcSet(srcSet, map) {
+  return srcSet.split(',').map(candidate => {
+    const [url, ...descriptor] = candidate.trim().split(/\s+/);
+    return [map(url), ...descriptor].join(' ');
+  }).join(', ');
+}
+
+/**
+ * Typed <source> entries for a <picture> around an <img>, from the `pictureSources` option
+ * Returns `[{ type, srcSet }]` in preference order, or null when not configured.
+ */
+export function getPictureSources(props) {
+  const formatSource = resolveFormatSource();
+  if (!formatSource || !props || typeof props.src !== 'string' || props.src.startsWith('data:') || props.src.startsWith('blob:')) {
+    return null;
+  }
+
+  try {
+    const sources = getAllowedFormats()
+      .map(format => {
+        const map = src => formatSource({ src, format, type: IMAGE_FORMAT_TYPES[format] });
+        const srcSet = props.srcSet ? mapSrcSet(props.srcSet, map) : map(props.src);
+        return srcSet ? { type: IMAGE_FORMAT_TYPES[format], srcSet } : null;
+      })
+      .filter(Boolean);
+    return sources.length > 0 ? sources : null;
+  } catch (error) {
+    console.warn('Error building picture sources:', error);
+    return null;
+  }
+}
+
+/**
+ * Rewrite a src to the preferred format through `pictureSources` (for sources without a <picture>)
+ */
+export function rewriteImageFormat(src) {
+  const formatSource = resolveFormatSource();
+  const format = formatSource ? getPreferredImageFormat() : null;
+  if (!format || typeof src !== 'string' || src.startsWith('data:') || src.startsWith('blob:')) return src;
+
+  try {
+    return formatSource({ src, format, type: IMAGE_FORMAT_TYPES[format] }) || src;
+  } catch (error) {
+    console.warn('Error rewriting image format:', error);
+    return src;
+  }
+}
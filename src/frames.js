@@ -0,0 +1,191 @@
+/**
+ * Integrity.js Frame Sampler
+ * One requestAnimationFrame loop for the whole page recording per-frame durations;
+ * reports percentiles, dropped frames and a jank histogram once a second
+ */
+
+// Stats cover the frames of the last WINDOW_MS; FPS covers the last second
+const WINDOW_MS = 5000;
+const REPORT_INTERVAL = 1000;
+
+// Jank histogram buckets, keyed by how many frames each frame dropped
+export const FRAME_HISTOGRAM_BUCKETS = [
+  { label: '0', max: 0 },
+  { label: '1', max: 1 },
+  { label: '2-3', max: 3 },
+  { label: '4-7', max: 7 },
+  { label: '8+', max: Infinity }
+];
+
+const listeners = new Set();
+let frames = [];
+let stats = null;
+let sampleId = 0;
+let rafId = null;
+let reportTimer = null;
+let lastFrameTime = null;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Frame budget in ms from `performanceTarget` ('60fps' or 60), default 60fps
+ */
+export function getFrameBudget() {
+  const config = typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+  const target = parseFloat(config.performanceTarget);
+  return 1000 / (isFinite(target) && target > 0 ? target : 60);
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Summarize frame durations (ms) against a frame budget (JavaScript-safe)
+ * A frame that took n budgets long stands for n - 1 dropped frames.
+ */
+export function summarizeFrames(durations, frameBudget = getFrameBudget()) {
+  const sorted = durations.slice().sort((a, b) => a - b);
+  const histogram = {};
+  FRAME_HISTOGRAM_BUCKETS.forEach(bucket => {
+    histogram[bucket.label] = 0;
+  });
+
+  let droppedFrames = 0;
+  durations.forEach(duration => {
+    const dropped = Math.max(0, Math.round(duration / frameBudget) - 1);
+    droppedFrames += dropped;
+    histogram[FRAME_HISTOGRAM_BUCKETS.find(bucket => dropped <= bucket.max).label] += 1;
+  });
+
+  const total = durations.length + droppedFrames;
+
+  return {
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    droppedFrames,
+    droppedRatio: total > 0 ? round(droppedFrames / total) : 0,
+    histogram,
+    frameBudget: round(frameBudget)
+  };
+}
+
+/**
+ * Stats for a steady frame rate, used for simulated and test values
+ */
+export function createSteadyFrameStats(fps, frameBudget = getFrameBudget()) {
+  const rate = Math.max(1, fps);
+  const seconds = WINDOW_MS / 1000;
+  const durations = new Array(Math.round(rate * seconds)).fill(1000 / rate);
+  return { fps, ...summarizeFrames(durations, frameBudget) };
+}
+
+function isHidden() {
+  return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+}
+
+function report() {
+  // A hidden tab draws nothing; reporting 0fps would read as a severe frame drop
+  if (isHidden()) return;
+
+  const now = performance.now();
+  frames = frames.filter(frame => frame.time > now - WINDOW_MS);
+
+  // No frames in the last second (rAF paused or throttled) is no sample, not 0fps
+  const lastSecond = frames.filter(frame => frame.time > now - REPORT_INTERVAL);
+  if (lastSecond.length === 0) return;
+
+  const elapsed = lastSecond.reduce((sum, frame) => sum + frame.duration, 0);
+  const fps = Math.round((lastSecond.length * 1000) / Math.max(elapsed, REPORT_INTERVAL));
+
+  sampleId += 1;
+  stats = {
+    fps,
+    ...summarizeFrames(frames.map(frame => frame.duration)),
+    sampleId
+  };
+
+  listeners.forEach(listener => {
+    try {
+      listener(stats);
+    } catch (error) {
+      console.warn('Error in frame sampler listener:', error);
+    }
+  });
+}
+
+// Timed with performance.now() rather than the callback timestamp so reports share one clock
+function onFrame() {
+  const now = performance.now();
+  if (lastFrameTime !== null) {
+    frames.push({ time: now, duration: now - lastFrameTime });
+  }
+  lastFrameTime = now;
+  rafId = requestAnimationFrame(onFrame);
+}
+
+// Background tabs get no frames; the gap before the tab returns is not jank, and the
+// frames from before it left don't describe the page once it is back
+function onVisibilityChange() {
+  lastFrameTime = null;
+  if (isHidden()) frames = [];
+}
+
+function start() {
+  if (rafId !== null || typeof requestAnimationFrame === 'undefined' || typeof performance === 'undefined') return;
+
+  lastFrameTime = null;
+  rafId = requestAnimationFrame(onFrame);
+  reportTimer = setInterval(report, REPORT_INTERVAL);
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+}
+
+function stop() {
+  if (rafId === null) return;
+
+  cancelAnimationFrame(rafId);
+  clearInterval(reportTimer);
+  rafId = null;
+  reportTimer = null;
+  frames = [];
+  // A later subscriber must not read stats from before the loop stopped
+  stats = null;
+  if (typeof document !== 'undefined') {
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  }
+}
+
+/**
+ * Receive frame stats once a second; the loop runs while anyone is subscribed
+ * Nothing is reported while the page is hidden or not drawing frames.
+ * Stats: `{ fps, p50, p95, p99, droppedFrames, droppedRatio, histogram, frameBudget, sampleId }`.
+ */
+export function subscribeFrames(listener) {
+  listeners.add(listener);
+  start();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) stop();
+  };
+}
+
+/**
+ * The latest frame stats, or null before the first report since the loop (re)started (JavaScript-safe)
+ */
+export function getFrameStats() {
+  return stats;
+}
+
+/**
+ * Durations (ms) of the most recent frames, oldest first
+ */
+export function getRecentFrames(count = 120) {
+  return frames.slice(-count).map(frame => frame.duration);
+}
@@ -20,24 +20,43 @@ import {
   useSyncExternalStore as ReactUseSyncExternalStore
 } from 'react';
 
+import { buildImageSources } from './images';
+import { usePreferredImageFormat, isImageFormatPending } from './formats';
+import { loadImage, getImagePlaceholder } from './progressive';
+import { getImageCache } from './image-cache';
+import { getTextureCache, getMaxTextureSize, createImageTexture } from './textures';
+import { getVirtualWindow } from './virtual';
+import { useIntegrityStore } from './store';
+import { recordIntegrityEvent } from './telemetry';
+import { subscribeWebVitals, getWebVitals, EMPTY_VITALS } from './vitals';
+import { fetchData, subscribeData, getDataState, setData, invalidateData, EMPTY_DATA_STATE } from './data';
+import { getMutationQueue, EMPTY_QUEUE_STATUS } from './offline';
+
 // REMOVED: All TypeScript/Flow type annotations that were causing errors
 // type BasicStateAction<S> = (S => S) | S;  ← REMOVED
 // type Dispatch<A> = A => void;             ← REMOVED
 // All other type definitions                ← REMOVED
 
-// Keep resolver function as-is but make it safe for JavaScript
+// Hook overrides installed with setIntegrityDispatcher (see integrity.js/testing).
+// Every hook the dispatcher defines replaces the built-in one; the rest run normally.
+let installedDispatcher = null;
+
+/**
+ * Install a hook dispatcher, or pass null to remove it. Returns the previous dispatcher.
+ */
+export function setIntegrityDispatcher(dispatcher) {
+  const previous = installedDispatcher;
+  installedDispatcher = dispatcher && typeof dispatcher === 'object' ? dispatcher : null;
+  return previous;
+}
+
 function resolveDispatcher() {
-  // Safe fallback for JavaScript environments
+  if (installedDispatcher) return installedDispatcher;
+
+  // Legacy global slot, still honoured for existing setups
   try {
-    const dispatcher = typeof IntegritySharedInternals !== 'undefined' ? IntegritySharedInternals.H : null;
-    if (typeof __DEV__ !== 'undefined' && __DEV__) {
-      if (dispatcher === null) {
-        console.error('Invalid hook call...');
-      }
-    }
-    return dispatcher;
+    return typeof IntegritySharedInternals !== 'undefined' ? IntegritySharedInternals.H || null : null;
   } catch (error) {
-    // Fallback to null if IntegritySharedInternals doesn't exist
     return null;
   }
 }
@@ -45,48 +64,48 @@ function resolveDispatcher() {
 // Standard React hooks with JavaScript-safe fallbacks
 export function useContext(Context) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useContext(Context) : ReactUseContext(Context);
+  return dispatcher && dispatcher.useContext ? dispatcher.useContext(Context) : ReactUseContext(Context);
 }
 
 export function useState(initialState) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useState(initialState) : ReactUseState(initialState);
+  return dispatcher && dispatcher.useState ? dispatcher.useState(initialState) : ReactUseState(initialState);
 }
 
 export function useReducer(reducer, initialArg, init) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useReducer(reducer, initialArg, init) : ReactUseReducer(reducer, initialArg, init);
+  return dispatcher && dispatcher.useReducer ? dispatcher.useReducer(reducer, initialArg, init) : ReactUseReducer(reducer, initialArg, init);
 }
 
 export function useRef(initialValue) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useRef(initialValue) : ReactUseRef(initialValue);
+  return dispatcher && dispatcher.useRef ? dispatcher.useRef(initialValue) : ReactUseRef(initialValue);
 }
 
 export function useEffect(create, deps) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useEffect(create, deps) : ReactUseEffect(create, deps);
+  return dispatcher && dispatcher.useEffect ? dispatcher.useEffect(create, deps) : ReactUseEffect(create, deps);
 }
 
 export function useLayoutEffect(create, deps) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useLayoutEffect(create, deps) : ReactUseLayoutEffect(create, deps);
+  return dispatcher && dispatcher.useLayoutEffect ? dispatcher.useLayoutEffect(create, deps) : ReactUseLayoutEffect(create, deps);
 }
 
 export function useCallback(callback, deps) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useCallback(callback, deps) : ReactUseCallback(callback, deps);
+  return dispatcher && dispatcher.useCallback ? dispatcher.useCallback(callback, deps) : ReactUseCallback(callback, deps);
 }
 
 export function useMemo(create, deps) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useMemo(create, deps) : ReactUseMemo(create, deps);
+  return dispatcher && dispatcher.useMemo ? dispatcher.useMemo(create, deps) : ReactUseMemo(create, deps);
 }
 
 // Other standard hooks without TypeScript annotations
 export function useImperativeHandle(ref, create, deps) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? 
+  return dispatcher && dispatcher.useImperativeHandle ? 
     dispatcher.useImperativeHandle(ref, create, deps) : 
     ReactUseImperativeHandle(ref, create, deps);
 }
@@ -94,7 +113,7 @@ export function useImperativeHandle(ref, create, deps) {
 export function useDebugValue(value, formatterFn) {
   if (typeof __DEV__ !== 'undefined' && __DEV__) {
     const dispatcher = resolveDispatcher();
-    return dispatcher ? 
+    return dispatcher && dispatcher.useDebugValue ? 
       dispatcher.useDebugValue(value, formatterFn) : 
       ReactUseDebugValue(value, formatterFn);
   }
@@ -102,22 +121,22 @@ export function useDebugValue(value, formatterFn) {
 
 export function useTransition() {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useTransition() : ReactUseTransition();
+  return dispatcher && dispatcher.useTransition ? dispatcher.useTransition() : ReactUseTransition();
 }
 
 export function useDeferredValue(value, initialValue) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useDeferredValue(value, initialValue) : ReactUseDeferredValue(value);
+  return dispatcher && dispatcher.useDeferredValue ? dispatcher.useDeferredValue(value, initialValue) : ReactUseDeferredValue(value);
 }
 
 export function useId() {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? dispatcher.useId() : ReactUseId();
+  return dispatcher && dispatcher.useId ? dispatcher.useId() : ReactUseId();
 }
 
 export function useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot) {
   const dispatcher = resolveDispatcher();
-  return dispatcher ? 
+  return dispatcher && dispatcher.useSyncExternalStore ? 
     dispatcher.useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot) :
     ReactUseSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
 }
@@ -126,8 +145,12 @@ export function useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
 // FIXED MOBILE-FIRST HOOKS - JavaScript Compatible
 // =============================================================================
 
+const selectMemoryReading = ({ used, source }) => ({ used, source });
+
 /**
- * FIXED: useMemory - No circular dependencies, no TypeScript
+ * FIXED: useMemory - Reads the shared memory sampler, no TypeScript
+ * `source` says where `used` came from: 'heap' (performance.memory), 'uasm'
+ * (measureUserAgentSpecificMemory), 'estimated' or 'simulated'; `estimated` is true unless it was measured.
  */
 export function useMemory(limit) {
   const dispatcher = resolveDispatcher();
@@ -151,70 +174,27 @@ export function useMemory(limit) {
     }
   }, [limit]);
   
-  const [memoryInfo, setMemoryInfo] = ReactUseState({
-    used: 0,
-    limit: parsedLimit,
-    percentage: 0,
-    isNearLimit: false,
-    isCritical: false
-  });
+  const { used, source } = useIntegrityStore('memory', selectMemoryReading);
   
-  ReactUseEffect(() => {
-    const checkMemory = () => {
-      try {
-        let used = 0;
-        
-        if (performance && performance.memory && performance.memory.usedJSHeapSize > 0) {
-          used = performance.memory.usedJSHeapSize / 1024 / 1024;
-        } else {
-          // Fallback estimation
-          const baseMemory = 25;
-          const photoElements = document.querySelectorAll('canvas').length;
-          const totalElements = document.querySelectorAll('*').length;
-          
-          const photoMemory = photoElements * 0.8;
-          const domMemory = Math.max(5, totalElements * 0.01);
-          const variableMemory = Math.sin(Date.now() / 2000) * 8 + 8;
-          
-          used = baseMemory + photoMemory + domMemory + variableMemory;
-        }
-        
-        const percentage = (used / parsedLimit) * 100;
-        
-        setMemoryInfo({
-          used: Math.round(used * 10) / 10,
-          limit: parsedLimit,
-          percentage: Math.round(percentage),
-          isNearLimit: percentage > 70,
-          isCritical: percentage > 85
-        });
-      } catch (error) {
-        console.warn('Memory monitoring error:', error);
-        // Fallback values
-        const photoCount = document.querySelectorAll('canvas').length;
-        const fallbackUsed = 20 + photoCount * 0.8 + Math.random() * 15;
-        const fallbackPercentage = (fallbackUsed / parsedLimit) * 100;
-        
-        setMemoryInfo({
-          used: Math.round(fallbackUsed * 10) / 10,
-          limit: parsedLimit,
-          percentage: Math.round(fallbackPercentage),
-          isNearLimit: fallbackPercentage > 70,
-          isCritical: fallbackPercentage > 85
-        });
-      }
-    };
+  return ReactUseMemo(() => {
+    const percentage = (used / parsedLimit) * 100;
     
-    checkMemory();
-    const interval = setInterval(checkMemory, 2000);
-    return () => clearInterval(interval);
-  }, [parsedLimit]); // ✅ Only depend on parsedLimit, not state
-  
-  return memoryInfo;
+    return {
+      used,
+      limit: parsedLimit,
+      percentage: Math.round(percentage),
+      isNearLimit: percentage > 70,
+      isCritical: percentage > 85,
+      source,
+      estimated: source !== 'heap' && source !== 'uasm'
+    };
+  }, [used, source, parsedLimit]);
 }
 
 /**
- * FIXED: usePerformance - Stable RAF handling, no TypeScript
+ * FIXED: usePerformance - Reads the shared frame sampler, no TypeScript
+ * Percentiles, frameDrops and droppedRatio cover the sampler's sliding window;
+ * meetsTarget compares the last second's FPS with this caller's target.
  */
 export function usePerformance(targetFPS) {
   const dispatcher = resolveDispatcher();
@@ -222,61 +202,25 @@ export function usePerformance(targetFPS) {
     return dispatcher.usePerformance(targetFPS);
   }
   
-  const [performanceInfo, setPerformanceInfo] = ReactUseState({
-    fps: 60,
-    renderTime: 16,
-    isPerformant: true,
-    frameDrops: 0
-  });
-  
-  const frameCount = ReactUseRef(0);
-  const lastTime = ReactUseRef(performance.now());
-  const animationId = ReactUseRef();
-  const frameDropCount = ReactUseRef(0);
+  const sample = useIntegrityStore('performance');
+  const target = targetFPS || 60;
   
-  ReactUseEffect(() => {
-    const target = targetFPS || 60;
-    
-    const measureFPS = () => {
-      frameCount.current++;
-      const currentTime = performance.now();
-      
-      if (currentTime >= lastTime.current + 1000) {
-        const fps = Math.round((frameCount.current * 1000) / (currentTime - lastTime.current));
-        const renderTime = 1000 / fps;
-        
-        if (fps < target * 0.8) {
-          frameDropCount.current++;
-        }
-        
-        setPerformanceInfo({
-          fps,
-          renderTime: Math.round(renderTime * 100) / 100,
-          isPerformant: fps >= 30,
-          frameDrops: frameDropCount.current
-        });
-        
-        frameCount.current = 0;
-        lastTime.current = currentTime;
-      }
-      
-      animationId.current = requestAnimationFrame(measureFPS);
-    };
-    
-    animationId.current = requestAnimationFrame(measureFPS);
-    
-    return () => {
-      if (animationId.current) {
-        cancelAnimationFrame(animationId.current);
-      }
-    };
-  }, [targetFPS]);
-  
-  return performanceInfo;
+  return ReactUseMemo(() => ({
+    fps: sample.fps,
+    renderTime: sample.renderTime,
+    isPerformant: sample.isPerformant,
+    meetsTarget: sample.fps >= target * 0.8,
+    frameDrops: sample.frameDrops,
+    droppedRatio: sample.droppedRatio,
+    p50: sample.p50,
+    p95: sample.p95,
+    p99: sample.p99,
+    histogram: sample.histogram
+  }), [sample, target]);
 }
 
 /**
- * FIXED: useDevice - Stable object reference, no TypeScript
+ * FIXED: useDevice - Stable object reference from the shared store, no TypeScript
  */
 export function useDevice() {
   const dispatcher = resolveDispatcher();
@@ -284,54 +228,11 @@ export function useDevice() {
     return dispatcher.useDevice();
   }
   
-  // Initialize once with stable values
-  const [deviceInfo, setDeviceInfo] = ReactUseState(() => {
-    const isMobile = typeof window !== 'undefined' ? 
-      window.innerWidth < 768 || /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) : 
-      false;
-    
-    const hardwareConcurrency = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 4 : 4;
-    const deviceMemory = typeof navigator !== 'undefined' ? navigator.deviceMemory || 4 : 4;
-    const isLowEnd = hardwareConcurrency <= 2 || deviceMemory <= 2;
-    
-    const connection = typeof navigator !== 'undefined' ? 
-      navigator.connection || navigator.mozConnection || navigator.webkitConnection : null;
-    const connectionType = connection ? connection.effectiveType || 'unknown' : 'unknown';
-    
-    return {
-      isMobile,
-      isLowEnd,
-      pixelRatio: typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1,
-      memoryGB: deviceMemory,
-      connectionType
-    };
-  });
-  
-  ReactUseEffect(() => {
-    const handleResize = () => {
-      const isMobile = window.innerWidth < 768 || 
-                       /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-      
-      // Only update if actually changed
-      setDeviceInfo(prev => {
-        if (prev.isMobile !== isMobile) {
-          return { ...prev, isMobile };
-        }
-        return prev; // ✅ Return same reference if no change
-      });
-    };
-    
-    if (typeof window !== 'undefined') {
-      window.addEventListener('resize', handleResize);
-      return () => window.removeEventListener('resize', handleResize);
-    }
-  }, []);
-  
-  return deviceInfo;
+  return useIntegrityStore('device');
 }
 
 /**
- * FIXED: useBattery - Stable implementation, no TypeScript
+ * FIXED: useBattery - Shared battery listener, no TypeScript
  */
 export function useBattery() {
   const dispatcher = resolveDispatcher();
@@ -339,44 +240,24 @@ export function useBattery() {
     return dispatcher.useBattery();
   }
   
-  const [batteryInfo, setBatteryInfo] = ReactUseState({
-    level: 1,
-    charging: false,
-    chargingTime: Infinity,
-    dischargingTime: Infinity
-  });
-  
-  ReactUseEffect(() => {
-    if (typeof navigator !== 'undefined' && 'getBattery' in navigator) {
-      navigator.getBattery().then((battery) => {
-        const updateBattery = () => {
-          setBatteryInfo({
-            level: battery.level,
-            charging: battery.charging,
-            chargingTime: battery.chargingTime,
-            dischargingTime: battery.dischargingTime
-          });
-        };
-        
-        updateBattery();
-        battery.addEventListener('chargingchange', updateBattery);
-        battery.addEventListener('levelchange', updateBattery);
-        
-        return () => {
-          battery.removeEventListener('chargingchange', updateBattery);
-          battery.removeEventListener('levelchange', updateBattery);
-        };
-      }).catch((error) => {
-        console.warn('Battery API not available:', error);
-      });
-    }
-  }, []);
-  
-  return batteryInfo;
+  return useIntegrityStore('battery', ({ level, charging, chargingTime, dischargingTime }) => ({
+    level,
+    charging,
+    chargingTime,
+    dischargingTime
+  }));
 }
 
 /**
  * FIXED: useSmartImage - No circular dependencies, no TypeScript
+ * Shows a placeholder while loading, swaps only after the image is decoded, retries
+ * failures with exponential backoff and cancels the download when `src` changes.
+ * Options beyond quality/width/sizes/fallback:
+ * - placeholder: URL shown while loading, or 'auto' for a tiny low-quality version through the imageLoader
+ * - blurhash: blurhash string decoded into the placeholder
+ * - retries (default 2) and retryDelay (ms, default 500, doubling per retry)
+ * - fetchPriority: 'high' | 'low' | 'auto' (defaults to 'high' for priority 'high')
+ * - priority / limit: image cache memory-priority and memory-limit
  */
 export function useSmartImage(src, options) {
   const dispatcher = resolveDispatcher();
@@ -386,53 +267,180 @@ export function useSmartImage(src, options) {
   
   const [imageState, setImageState] = ReactUseState({
     src: null,
+    srcSet: undefined,
+    sizes: undefined,
     loading: false,
-    error: false
+    error: false,
+    placeholder: null,
+    isPlaceholder: false,
+    attempts: 0
   });
   
   const dispose = ReactUseCallback(() => {
     setImageState({
       src: null,
+      srcSet: undefined,
+      sizes: undefined,
       loading: false,
-      error: false
+      error: false,
+      placeholder: null,
+      isPlaceholder: false,
+      attempts: 0
     });
   }, []);
   
   // Memoize options to prevent effect re-runs
   const memoizedOptions = ReactUseMemo(() => ({
     fallback: options?.fallback || null,
-    quality: options?.quality || 'auto'
-  }), [options?.fallback, options?.quality]);
+    quality: options?.quality || 'auto',
+    width: options?.width,
+    sizes: options?.sizes,
+    priority: options?.priority,
+    limit: options?.limit,
+    placeholder: options?.placeholder || null,
+    blurhash: options?.blurhash || null,
+    retries: options?.retries,
+    retryDelay: options?.retryDelay,
+    fetchPriority: options?.fetchPriority || (options?.priority === 'high' ? 'high' : 'auto')
+  }), [
+    options?.fallback, options?.quality, options?.width, options?.sizes, options?.priority, options?.limit,
+    options?.placeholder, options?.blurhash, options?.retries, options?.retryDelay, options?.fetchPriority
+  ]);
+  
+  // Reload in the detected format when detection lands after the first load started
+  const preferredFormat = usePreferredImageFormat(isImageFormatPending());
   
   ReactUseEffect(() => {
     if (!src) return;
     
-    setImageState(prev => ({ ...prev, loading: true, error: false }));
+    // Resolve through the configured imageLoader so quality changes the download
+    const sources = buildImageSources(src, memoizedOptions);
     
-    const img = new Image();
-    img.onload = () => {
+    // Images already decoded by another component are served from the cache
+    const cache = getImageCache();
+    const cached = cache ? cache.lookup(sources.src) : null;
+    if (cached) {
       setImageState({
-        src: img.src,
+        src: cached.image.currentSrc || cached.image.src,
+        srcSet: sources.srcSet,
+        sizes: sources.sizes,
         loading: false,
-        error: false
+        error: false,
+        placeholder: null,
+        isPlaceholder: false,
+        attempts: 0
       });
-    };
-    img.onerror = () => {
+      return;
+    }
+    
+    // Without a placeholder the previous image stays up until the new one is decoded
+    const placeholder = getImagePlaceholder(src, memoizedOptions);
+    setImageState(prev => (placeholder ?
+      { src: placeholder, srcSet: undefined, sizes: undefined, loading: true, error: false, placeholder, isPlaceholder: true, attempts: 0 } :
+      { ...prev, loading: true, error: false, attempts: 0 }
+    ));
+    
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let active = true;
+    
+    loadImage(sources, {
+      retries: memoizedOptions.retries,
+      retryDelay: memoizedOptions.retryDelay,
+      fetchPriority: memoizedOptions.fetchPriority,
+      signal: controller ? controller.signal : undefined,
+      onRetry: attempt => {
+        if (active) setImageState(prev => ({ ...prev, attempts: attempt }));
+      }
+    }).then(img => {
+      if (!active) return;
+      if (cache) {
+        cache.put(sources.src, img, { priority: memoizedOptions.priority, limit: memoizedOptions.limit });
+      }
+      setImageState({
+        src: img.currentSrc || img.src,
+        srcSet: sources.srcSet,
+        sizes: sources.sizes,
+        loading: false,
+        error: false,
+        placeholder: null,
+        isPlaceholder: false,
+        attempts: 0
+      });
+    }).catch(error => {
+      if (!active || error.name === 'AbortError') return;
+      recordIntegrityEvent('image-error', { src: sources.src, attempts: error.attempts || 1 });
       setImageState({
         src: memoizedOptions.fallback,
+        srcSet: undefined,
+        sizes: undefined,
         loading: false,
-        error: true
+        error: true,
+        placeholder: null,
+        isPlaceholder: false,
+        attempts: error.attempts || 1
       });
-    };
-    img.src = src;
+    });
     
     return () => {
-      img.onload = null;
-      img.onerror = null;
+      active = false;
+      if (controller) controller.abort();
     };
-  }, [src, memoizedOptions]); // ✅ Stable dependencies
+  }, [src, memoizedOptions, preferredFormat]); // ✅ Stable dependencies
   
-  return { ...imageState, dispose };
+  return { ...imageState, fetchPriority: memoizedOptions.fetchPriority, dispose };
+}
+
+// Selectors for the flags the adaptive tiers depend on
+const selectIsLowEnd = device => device.isLowEnd;
+const selectIsMobile = device => device.isMobile;
+// Sustained drops or a slow p95 lower the tier even when the average FPS looks fine
+const selectFpsLevel = ({ fps, isPerformant, droppedRatio, p95 }) => {
+  if (!isPerformant || fps < 30 || droppedRatio > 0.25) return 'low';
+  if (fps < 50 || droppedRatio > 0.1 || p95 > 1000 / 30) return 'medium';
+  return 'high';
+};
+const selectIsLowBattery = battery => battery.level < 0.2 && !battery.charging;
+
+/**
+ * Adaptive feature flags for a store state (shared by useAdaptiveFeatures and telemetry)
+ */
+export function getAdaptiveFeatures(state) {
+  return resolveAdaptiveFeatures(
+    selectIsLowEnd(state.device),
+    selectIsMobile(state.device),
+    selectFpsLevel(state.performance),
+    selectIsLowBattery(state.battery)
+  );
+}
+
+function resolveAdaptiveFeatures(isLowEnd, isMobile, fpsLevel, isLowBattery) {
+  if (isLowEnd || isLowBattery || fpsLevel === 'low') {
+    return {
+      enableAnimations: false,
+      enableComplexLayouts: false,
+      enableHighResImages: false,
+      enableRealTimeUpdates: false,
+      performanceLevel: 'low'
+    };
+  }
+  
+  if (isMobile || fpsLevel === 'medium') {
+    return {
+      enableAnimations: true,
+      enableComplexLayouts: false,
+      enableHighResImages: false,
+      enableRealTimeUpdates: true,
+      performanceLevel: 'medium'
+    };
+  }
+  
+  return {
+    enableAnimations: true,
+    enableComplexLayouts: true,
+    enableHighResImages: true,
+    enableRealTimeUpdates: true,
+    performanceLevel: 'high'
+  };
 }
 
 /**
@@ -444,94 +452,273 @@ export function useAdaptiveFeatures() {
     return dispatcher.useAdaptiveFeatures();
   }
   
-  const deviceInfo = useDevice();
-  const performanceInfo = usePerformance();
-  const batteryInfo = useBattery();
+  // Select only the flags the tiers depend on so per-second FPS samples don't re-render
+  const isLowEnd = useIntegrityStore('device', selectIsLowEnd);
+  const isMobile = useIntegrityStore('device', selectIsMobile);
+  const fpsLevel = useIntegrityStore('performance', selectFpsLevel);
+  const isLowBattery = useIntegrityStore('battery', selectIsLowBattery);
   
-  return ReactUseMemo(() => {
-    const isLowBattery = batteryInfo.level < 0.2 && !batteryInfo.charging;
-    const isLowPerformance = !performanceInfo.isPerformant || performanceInfo.fps < 30;
+  return ReactUseMemo(
+    () => resolveAdaptiveFeatures(isLowEnd, isMobile, fpsLevel, isLowBattery),
+    [isLowEnd, isMobile, fpsLevel, isLowBattery] // ✅ Only specific flags, not whole objects
+  );
+}
+
+const getServerVitals = () => EMPTY_VITALS;
+
+/**
+ * useWebVitals - LCP, CLS, INP and long tasks, re-rendering as entries arrive
+ * Shares one observer with createPerformanceObserver, so both report the same numbers.
+ */
+export function useWebVitals() {
+  const dispatcher = resolveDispatcher();
+  if (dispatcher && dispatcher.useWebVitals) {
+    return dispatcher.useWebVitals();
+  }
+  
+  return ReactUseSyncExternalStore(subscribeWebVitals, getWebVitals, getServerVitals);
+}
+
+/**
+ * useTexture - A reference-counted WebGL texture, capped to the adaptive tier's max size
+ * `context` is a WebGL context (or a renderer when `create` is given). Options:
+ * - create({ context, src, maxSize }): build the texture yourself, returning `{ texture, width, height, mipmaps }`
+ * - dispose(texture, context): free it when the context can't (defaults to `texture.dispose()`)
+ * - priority: 'low' | 'medium' | 'high' - eviction order once unreferenced
+ * - key: cache key, defaults to the src
+ */
+export function useTexture(context, src, options) {
+  const dispatcher = resolveDispatcher();
+  if (dispatcher && dispatcher.useTexture) {
+    return dispatcher.useTexture(context, src, options);
+  }
+  
+  const { performanceLevel } = useAdaptiveFeatures();
+  const maxSize = getMaxTextureSize(context, performanceLevel);
+  const [textureState, setTextureState] = ReactUseState({
+    texture: null,
+    width: 0,
+    height: 0,
+    bytes: 0,
+    loading: false,
+    error: null
+  });
+  
+  // Latest callbacks without re-running the effect
+  const callbacks = ReactUseRef({});
+  callbacks.current = { create: options?.create, dispose: options?.dispose };
+  
+  const priority = options?.priority || 'medium';
+  // The size is part of the key so a tier change loads a smaller texture and frees the old one
+  const key = `${options?.key || src}@${maxSize}`;
+  
+  ReactUseEffect(() => {
+    const cache = getTextureCache();
+    if (!context || !src || !cache) return;
     
-    if (deviceInfo.isLowEnd || isLowBattery || isLowPerformance) {
-      return {
-        enableAnimations: false,
-        enableComplexLayouts: false,
-        enableHighResImages: false,
-        enableRealTimeUpdates: false,
-        performanceLevel: 'low'
-      };
-    }
+    let active = true;
+    let acquired = false;
+    setTextureState(prev => ({ ...prev, loading: true, error: null }));
     
-    if (deviceInfo.isMobile || performanceInfo.fps < 50) {
-      return {
-        enableAnimations: true,
-        enableComplexLayouts: false,
-        enableHighResImages: false,
-        enableRealTimeUpdates: true,
-        performanceLevel: 'medium'
-      };
-    }
+    const create = (args) => (callbacks.current.create || createImageTexture)({ ...args, src });
+    cache.load(context, key, create, { priority, maxSize, dispose: callbacks.current.dispose })
+      .then(entry => {
+        if (!entry) throw new Error(`Texture ${src} was not created`);
+        if (!active) {
+          cache.release(context, key);
+          return;
+        }
+        acquired = true;
+        setTextureState({
+          texture: entry.texture,
+          width: entry.width,
+          height: entry.height,
+          bytes: entry.bytes,
+          loading: false,
+          error: null
+        });
+      })
+      .catch(error => {
+        console.warn('Error loading Integrity texture:', error);
+        if (active) {
+          setTextureState({ texture: null, width: 0, height: 0, bytes: 0, loading: false, error });
+        }
+      });
     
-    return {
-      enableAnimations: true,
-      enableComplexLayouts: true,
-      enableHighResImages: true,
-      enableRealTimeUpdates: true,
-      performanceLevel: 'high'
+    return () => {
+      active = false;
+      if (acquired) cache.release(context, key);
     };
-  }, [
-    deviceInfo.isLowEnd, 
-    deviceInfo.isMobile,
-    performanceInfo.isPerformant, 
-    performanceInfo.fps,
-    batteryInfo.level, 
-    batteryInfo.charging
-  ]); // ✅ Only specific properties, not whole objects
+  }, [context, src, key, priority, maxSize]);
+  
+  return { ...textureState, maxSize };
 }
 
 // Other hooks with JavaScript-safe implementations
-export function useNetworkAware(fetcher, options) {
+
+/**
+ * useNetworkAware - Keyed data fetching on a shared, memory-pressure-aware cache
+ * `useNetworkAware(key, fetcher, options)`: components using the same key share one
+ * request and one cached value; stale data is returned at once while it revalidates.
+ * The fetcher receives `{ signal, key, networkType }`, and the request is aborted when
+ * the last component using the key unmounts. Options:
+ * - staleTime: ms the data stays fresh without revalidating (default 0)
+ * - lowBandwidthFetcher: used on slow-2g/2g instead, cached under its own key
+ * - retries / retryDelay: override the retry policy for the connection type
+ * - enabled: false to skip fetching (a null key does the same)
+ * The older `useNetworkAware(fetcher, options)` form still works, cached per component.
+ */
+export function useNetworkAware(key, fetcher, options) {
   const dispatcher = resolveDispatcher();
   if (dispatcher && dispatcher.useNetworkAware) {
-    return dispatcher.useNetworkAware(fetcher, options);
+    return dispatcher.useNetworkAware(key, fetcher, options);
   }
   
-  const [state, setState] = ReactUseState({
-    data: null,
-    loading: false,
-    error: null,
-    networkType: 'unknown'
-  });
+  const instanceId = ReactUseId();
+  const legacy = typeof key === 'function';
+  const resolvedFetcher = legacy ? key : fetcher;
+  const resolvedOptions = (legacy ? fetcher : options) || {};
+  const baseKey = legacy ? `integrity-network-aware:${instanceId}` : key;
   
   const deviceInfo = useDevice();
+  const networkType = deviceInfo.connectionType;
+  const isSlowConnection = networkType === 'slow-2g' || networkType === '2g';
+  const lowBandwidth = isSlowConnection && typeof resolvedOptions.lowBandwidthFetcher === 'function';
   
-  ReactUseEffect(() => {
-    const networkType = deviceInfo.connectionType;
-    setState(prev => ({ ...prev, networkType }));
+  const cacheKey = baseKey === null || baseKey === undefined || resolvedOptions.enabled === false ?
+    null :
+    `${typeof baseKey === 'string' ? baseKey : JSON.stringify(baseKey)}${lowBandwidth ? '::low-bandwidth' : ''}`;
+  
+  // Latest fetcher and options, so inline functions and objects don't trigger refetches
+  const latest = ReactUseRef(null);
+  latest.current = {
+    fetcher: lowBandwidth ? resolvedOptions.lowBandwidthFetcher : resolvedFetcher,
+    options: resolvedOptions,
+    networkType
+  };
+  
+  const subscribe = ReactUseCallback(
+    listener => (cacheKey ? subscribeData(cacheKey, listener) : () => {}),
+    [cacheKey]
+  );
+  const getSnapshot = ReactUseCallback(
+    () => (cacheKey ? getDataState(cacheKey) : EMPTY_DATA_STATE),
+    [cacheKey]
+  );
+  const entry = ReactUseSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  
+  const revalidate = ReactUseCallback(() => {
+    const current = latest.current;
+    if (!cacheKey || typeof current.fetcher !== 'function') return Promise.resolve(undefined);
     
-    const isSlowConnection = networkType === 'slow-2g' || networkType === '2g';
+    return fetchData(cacheKey, current.fetcher, {
+      staleTime: current.options.staleTime,
+      retries: current.options.retries,
+      retryDelay: current.options.retryDelay,
+      networkType: current.networkType
+    }).catch(() => undefined); // Errors and aborts are reported through the cached state
+  }, [cacheKey]);
+  
+  ReactUseEffect(() => {
+    revalidate();
+  }, [revalidate]);
+  
+  const refetch = ReactUseCallback(() => {
+    if (cacheKey) invalidateData(cacheKey);
+    return revalidate();
+  }, [cacheKey, revalidate]);
+  
+  const mutate = ReactUseCallback((data) => {
+    if (cacheKey) setData(cacheKey, data);
+  }, [cacheKey]);
+  
+  const staleTime = resolvedOptions.staleTime || 0;
+  
+  return {
+    data: entry.data === undefined ? null : entry.data,
+    loading: entry.isValidating && entry.updatedAt === 0,
+    error: entry.error,
+    networkType,
+    isValidating: entry.isValidating,
+    isStale: entry.updatedAt > 0 && Date.now() - entry.updatedAt >= staleTime,
+    updatedAt: entry.updatedAt,
+    refetch,
+    mutate
+  };
+}
+
+const getServerQueueStatus = () => EMPTY_QUEUE_STATUS;
+
+/**
+ * useOfflineMutation - Writes that survive losing the connection
+ * `mutate(variables)` stores the mutation in IndexedDB, then sends it through
+ * `mutationFn(variables, { id, attempt, createdAt })`. Offline, it stays queued and is
+ * replayed in order on the `online` event, including after a reload once a component
+ * registers the same `type`. Options:
+ * - onSuccess(result, variables) / onFailure(error, variables): after each send, replays included
+ * - onConflict(error, variables): return the variables to send instead, or nothing to drop it
+ * - queue: a queue from createMutationQueue (default: the page's queue)
+ */
+export function useOfflineMutation(type, mutationFn, options) {
+  const dispatcher = resolveDispatcher();
+  if (dispatcher && dispatcher.useOfflineMutation) {
+    return dispatcher.useOfflineMutation(type, mutationFn, options);
+  }
+  
+  const resolvedOptions = options || {};
+  const queue = resolvedOptions.queue || getMutationQueue();
+  const hasConflictResolver = typeof resolvedOptions.onConflict === 'function';
+  
+  // Latest callbacks, so inline functions don't re-register the type
+  const latest = ReactUseRef(null);
+  latest.current = { mutationFn, options: resolvedOptions };
+  
+  ReactUseEffect(() => {
+    if (!queue) return undefined;
     
-    const fetchData = async () => {
-      setState(prev => ({ ...prev, loading: true, error: null }));
-      
-      try {
-        let data;
-        if (isSlowConnection && options?.lowBandwidthFetcher) {
-          data = await options.lowBandwidthFetcher();
-        } else {
-          data = await fetcher();
-        }
-        
-        setState(prev => ({ ...prev, data, loading: false }));
-      } catch (error) {
-        setState(prev => ({ ...prev, error, loading: false }));
-      }
+    const call = name => (...args) => {
+      const callback = latest.current.options[name];
+      return typeof callback === 'function' ? callback(...args) : undefined;
     };
     
-    fetchData();
-  }, [fetcher, options, deviceInfo.connectionType]);
+    return queue.register(type, {
+      mutationFn: (variables, context) => latest.current.mutationFn(variables, context),
+      onSuccess: call('onSuccess'),
+      onFailure: call('onFailure'),
+      // Without a resolver of its own, the queue's `onConflict` applies
+      onConflict: hasConflictResolver ? call('onConflict') : undefined
+    });
+  }, [queue, type, hasConflictResolver]);
+  
+  const subscribe = ReactUseCallback(
+    listener => (queue ? queue.subscribe(listener) : () => {}),
+    [queue]
+  );
+  const getSnapshot = ReactUseCallback(
+    () => (queue ? queue.getStatus() : EMPTY_QUEUE_STATUS),
+    [queue]
+  );
+  // The server has no queue; hydration starts from the empty status the server rendered
+  const status = ReactUseSyncExternalStore(subscribe, getSnapshot, getServerQueueStatus);
   
-  return state;
+  const mutate = ReactUseCallback((variables) => {
+    if (!queue) return Promise.reject(new Error('useOfflineMutation needs a browser to queue mutations'));
+    return queue.enqueue(type, variables);
+  }, [queue, type]);
+  
+  const flush = ReactUseCallback(() => (queue ? queue.flush() : Promise.resolve()), [queue]);
+  
+  return {
+    mutate,
+    flush,
+    pending: status.types[type] || 0,
+    queued: status.pending,
+    isOnline: status.online,
+    isSyncing: status.processing,
+    failed: status.failed,
+    lastError: status.lastError,
+    lastSyncedAt: status.lastSyncedAt
+  };
 }
 
 export function useTouch(ref, options) {
@@ -582,12 +769,13 @@ export function useVirtualList(items, options) {
   const overscan = options?.overscan || 5;
   
   const visibleItems = ReactUseMemo(() => {
-    const containerHeight = typeof window !== 'undefined' ? window.innerHeight : 600;
-    const startIndex = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
-    const endIndex = Math.min(
-      items.length - 1,
-      Math.ceil((scrollTop + containerHeight) / itemHeight) + overscan
-    );
+    const { startIndex, endIndex } = getVirtualWindow({
+      count: items.length,
+      scrollTop,
+      viewportHeight: typeof window !== 'undefined' ? window.innerHeight : 600,
+      itemHeight,
+      overscan
+    });
     
     return items.slice(startIndex, endIndex + 1).map((item, idx) => ({
       item,
@@ -0,0 +1,341 @@
+/**
+ * Integrity.js HUD
+ * `integrity.js/hud` - draggable in-app overlay showing what Integrity sees and decides,
+ * for debugging on real phones without DevTools
+ *
+ *   import { IntegrityHUD } from 'integrity.js/hud';
+ *   <IntegrityHUD position="bottom-left" />
+ *
+ * Production builds resolve this entry to hud.production.js, which renders nothing.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { usePerformance, useMemory, useBattery, useDevice, useAdaptiveFeatures } from './hooks';
+import { useIntegrityStore } from './store';
+import { getIntegrityConfig } from './enhance';
+import { getMemoryRegistry } from './memory';
+import { getImageCacheStats } from './image-cache';
+import { getTextureStats } from './textures';
+import { getMountedIntegrityComponents } from './mounted';
+import { getSimulationProfile } from './simulate';
+import { subscribeFrames, getRecentFrames } from './frames';
+
+const h = React.createElement;
+
+const VIEWS = [
+  { id: 'performance', label: 'FPS' },
+  { id: 'memory', label: 'Memory' },
+  { id: 'network', label: 'Power/Net' },
+  { id: 'tier', label: 'Tier' },
+  { id: 'components', label: 'Components' }
+];
+
+const FRAME_HISTORY = 120;
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 60;
+const GRAPH_MAX_MS = 50;
+
+const styles = {
+  panel: {
+    position: 'fixed',
+    zIndex: 2147483647,
+    width: GRAPH_WIDTH + 16,
+    background: 'rgba(17, 17, 17, 0.88)',
+    color: '#f5f5f5',
+    font: '11px/1.4 ui-monospace, Menlo, Consolas, monospace',
+    borderRadius: 6,
+    boxShadow: '0 2px 12px rgba(0, 0, 0, 0.4)',
+    userSelect: 'none'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '4px 8px',
+    cursor: 'move',
+    touchAction: 'none',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.15)'
+  },
+  button: {
+    background: 'none',
+    border: 0,
+    color: 'inherit',
+    font: 'inherit',
+    cursor: 'pointer',
+    padding: '2px 4px'
+  },
+  tabs: { display: 'flex', flexWrap: 'wrap', gap: 2, padding: '4px 4px 0' },
+  body: { padding: 8, maxHeight: 220, overflowY: 'auto' },
+  row: { display: 'flex', justifyContent: 'space-between' },
+  muted: { color: '#9e9e9e' },
+  bar: { height: 6, background: 'rgba(255, 255, 255, 0.15)', borderRadius: 3, margin: '4px 0 8px' }
+};
+
+const CORNERS = {
+  'top-left': { top: 8, left: 8 },
+  'top-right': { top: 8, right: 8 },
+  'bottom-left': { bottom: 8, left: 8 },
+  'bottom-right': { bottom: 8, right: 8 }
+};
+
+function isProductionEnvironment() {
+  return typeof process !== 'undefined' && process.env ? process.env.NODE_ENV === 'production' : false;
+}
+
+function levelColor(level) {
+  return level === 'low' ? '#ef5350' : level === 'medium' ? '#ffca28' : '#66bb6a';
+}
+
+/**
+ * Recent frame durations from the shared frame sampler, refreshed with each report
+ */
+function useRecentFrames() {
+  const [frames, setFrames] = useState(() => getRecentFrames(FRAME_HISTORY));
+
+  useEffect(() => subscribeFrames(() => setFrames(getRecentFrames(FRAME_HISTORY))), []);
+
+  return frames;
+}
+
+/**
+ * Re-render every `interval` ms while `active`, for values read outside the store
+ */
+function useTick(active, interval) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const id = setInterval(() => setTick(tick => tick + 1), interval);
+    return () => clearInterval(id);
+  }, [active, interval]);
+}
+
+function Row({ label, value, color }) {
+  return h('div', { style: styles.row },
+    h('span', { style: styles.muted }, label),
+    h('span', { style: color ? { color } : null }, value)
+  );
+}
+
+function Bar({ ratio, color }) {
+  const width = `${Math.min(100, Math.max(0, ratio * 100))}%`;
+  return h('div', { style: styles.bar },
+    h('div', { style: { width, height: '100%', background: color, borderRadius: 3 } })
+  );
+}
+
+function FrameGraph({ frames }) {
+  const y = ms => GRAPH_HEIGHT - (Math.min(ms, GRAPH_MAX_MS) / GRAPH_MAX_MS) * GRAPH_HEIGHT;
+  const step = GRAPH_WIDTH / (FRAME_HISTORY - 1);
+  const points = frames.map((ms, index) => `${(index * step).toFixed(1)},${y(ms).toFixed(1)}`).join(' ');
+
+  // Guides at the 60fps and 30fps frame budgets
+  const guide = (ms, color) => h('line', {
+    x1: 0, x2: GRAPH_WIDTH, y1: y(ms), y2: y(ms),
+    stroke: color, strokeDasharray: '3 3', strokeWidth: 1
+  });
+
+  return h('svg', { width: GRAPH_WIDTH, height: GRAPH_HEIGHT, style: { display: 'block', margin: '4px 0' } },
+    guide(1000 / 60, 'rgba(102, 187, 106, 0.6)'),
+    guide(1000 / 30, 'rgba(239, 83, 80, 0.6)'),
+    h('polyline', { points, fill: 'none', stroke: '#4fc3f7', strokeWidth: 1.5 })
+  );
+}
+
+function Histogram({ histogram }) {
+  const counts = Object.keys(histogram || {}).map(label => ({ label, count: histogram[label] }));
+  const total = counts.reduce((sum, bucket) => sum + bucket.count, 0) || 1;
+
+  return h('div', { style: { marginTop: 6 } }, counts.map(({ label, count }, index) => h('div', { key: label, style: styles.row },
+    h('span', { style: { ...styles.muted, width: 52 } }, `${label} drop`),
+    h('div', { style: { flex: 1, margin: '4px 6px', height: 4, background: 'rgba(255, 255, 255, 0.15)' } },
+      h('div', { style: { width: `${(count / total) * 100}%`, height: '100%', background: index === 0 ? '#66bb6a' : index === 1 ? '#ffca28' : '#ef5350' } })
+    ),
+    h('span', null, count)
+  )));
+}
+
+function PerformanceView() {
+  const performance = usePerformance();
+  const frames = useRecentFrames();
+
+  return h('div', null,
+    h(Row, { label: 'FPS (last second)', value: performance.fps, color: performance.isPerformant ? '#66bb6a' : '#ef5350' }),
+    h(FrameGraph, { frames }),
+    h(Row, { label: 'Frame time p50 / p95 / p99', value: `${performance.p50} / ${performance.p95} / ${performance.p99}ms` }),
+    h(Row, { label: 'Dropped (5s)', value: `${performance.frameDrops} (${Math.round(performance.droppedRatio * 100)}%)` }),
+    h(Histogram, { histogram: performance.histogram })
+  );
+}
+
+function MemoryView() {
+  const config = getIntegrityConfig();
+  const memory = useMemory(config.memoryLimit || '100MB');
+  useTick(true, 1000);
+  const registry = getMemoryRegistry();
+  const images = getImageCacheStats();
+  const textures = getTextureStats();
+  const toMB = bytes => `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  const heapColor = memory.isCritical ? '#ef5350' : memory.isNearLimit ? '#ffca28' : '#66bb6a';
+
+  return h('div', null,
+    h(Row, { label: `Memory (${memory.source || 'pending'})`, value: `${memory.estimated ? '~' : ''}${memory.used}MB / ${memory.limit}MB` }),
+    h(Bar, { ratio: memory.used / memory.limit, color: heapColor }),
+    h(Row, { label: `Budgets (${registry.components.length})`, value: `${toMB(registry.used)} / ${toMB(registry.limit)}` }),
+    h(Bar, { ratio: registry.limit ? registry.used / registry.limit : 0, color: '#4fc3f7' }),
+    images && h(Row, {
+      label: `Images (${images.entries}, ${Math.round(images.hitRate * 100)}% hits)`,
+      value: `${toMB(images.bytes)} / ${toMB(images.budget)}`
+    }),
+    textures && textures.textures > 0 && h(Row, {
+      label: `Textures (${textures.referenced}/${textures.textures} in use)`,
+      value: `${toMB(textures.bytes)} / ${toMB(textures.budget)}`
+    }),
+    registry.components.map(component => h(Row, {
+      key: component.id,
+      label: component.name,
+      value: `${toMB(component.estimate)} ${component.status}`,
+      color: component.status === 'active' ? null : '#ffca28'
+    }))
+  );
+}
+
+function NetworkView() {
+  const battery = useBattery();
+  const network = useIntegrityStore('network');
+  const device = useDevice();
+  const level = Math.round((battery.level || 0) * 100);
+
+  return h('div', null,
+    h(Row, { label: 'Battery', value: `${level}%${battery.charging ? ' charging' : ''}`, color: level < 20 && !battery.charging ? '#ef5350' : null }),
+    h(Bar, { ratio: battery.level || 0, color: level < 20 ? '#ef5350' : '#66bb6a' }),
+    h(Row, { label: 'Connection', value: network.online ? network.effectiveType : 'offline', color: network.online ? null : '#ef5350' }),
+    h(Row, { label: 'Downlink', value: network.downlink !== null && network.downlink !== undefined ? `${network.downlink}Mbps` : 'n/a' }),
+    h(Row, { label: 'RTT', value: network.rtt !== null && network.rtt !== undefined ? `${network.rtt}ms` : 'n/a' }),
+    h(Row, { label: 'Save-Data', value: network.saveData ? 'on' : 'off' }),
+    h(Row, { label: 'Device', value: `${device.isMobile ? 'mobile' : 'desktop'}${device.isLowEnd ? ', low-end' : ''}` }),
+    h(Row, { label: 'Memory / DPR', value: `${device.memoryGB}GB / ${device.pixelRatio}x` })
+  );
+}
+
+function TierView() {
+  const features = useAdaptiveFeatures();
+  const flags = ['enableAnimations', 'enableComplexLayouts', 'enableHighResImages', 'enableRealTimeUpdates'];
+
+  return h('div', null,
+    h(Row, { label: 'Performance level', value: features.performanceLevel, color: levelColor(features.performanceLevel) }),
+    flags.map(flag => h(Row, { key: flag, label: flag, value: features[flag] ? 'on' : 'off', color: features[flag] ? null : '#9e9e9e' }))
+  );
+}
+
+function formatAttribute(name, value) {
+  return `${name}=${typeof value === 'string' ? `"${value}"` : `{${String(value)}}`}`;
+}
+
+function ComponentsView() {
+  useTick(true, 500);
+  const components = getMountedIntegrityComponents();
+
+  if (components.length === 0) {
+    return h('div', { style: styles.muted }, 'No enhanced components mounted');
+  }
+
+  return h('div', null, components.map(component => h('div', { key: component.id, style: { marginBottom: 6 } },
+    h('div', null,
+      `<${component.name}>`,
+      component.status !== 'active' ? h('span', { style: { color: '#ffca28' } }, ` ${component.status}`) : null
+    ),
+    h('div', { style: { ...styles.muted, paddingLeft: 8, wordBreak: 'break-all' } },
+      Object.keys(component.attributes).map(name => formatAttribute(name, component.attributes[name])).join(' ') || 'no attributes'
+    )
+  )));
+}
+
+const VIEW_COMPONENTS = {
+  performance: PerformanceView,
+  memory: MemoryView,
+  network: NetworkView,
+  tier: TierView,
+  components: ComponentsView
+};
+
+function HeaderSummary() {
+  const performance = usePerformance();
+  const features = useAdaptiveFeatures();
+
+  return h('span', null,
+    h('span', { style: { color: levelColor(features.performanceLevel) } }, '● '),
+    `Integrity ${performance.fps}fps`,
+    getSimulationProfile() ? h('span', { style: { color: '#ffca28' } }, ' sim') : null
+  );
+}
+
+function HUDPanel({ position, defaultView, defaultCollapsed }) {
+  const [view, setView] = useState(VIEW_COMPONENTS[defaultView] ? defaultView : 'performance');
+  const [collapsed, setCollapsed] = useState(!!defaultCollapsed);
+  const [offset, setOffset] = useState(null);
+  const [mounted, setMounted] = useState(false);
+  const panelRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Client-only: the server render and hydration both render nothing
+  useEffect(() => {
+    setMounted(true);
+  }, []);
+
+  const onPointerDown = (event) => {
+    if (event.target.tagName === 'BUTTON' || !panelRef.current) return;
+    const rect = panelRef.current.getBoundingClientRect();
+    dragRef.current = { dx: event.clientX - rect.left, dy: event.clientY - rect.top };
+    if (event.currentTarget.setPointerCapture) {
+      event.currentTarget.setPointerCapture(event.pointerId);
+    }
+  };
+
+  const onPointerMove = (event) => {
+    if (!dragRef.current) return;
+    setOffset({
+      left: Math.max(0, event.clientX - dragRef.current.dx),
+      top: Math.max(0, event.clientY - dragRef.current.dy)
+    });
+  };
+
+  const onPointerUp = () => {
+    dragRef.current = null;
+  };
+
+  if (!mounted) return null;
+
+  const ActiveView = VIEW_COMPONENTS[view];
+
+  return h('div', { ref: panelRef, style: { ...styles.panel, ...(offset || CORNERS[position] || CORNERS['bottom-right']) } },
+    h('div', { style: styles.header, onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp },
+      h(HeaderSummary),
+      h('button', { type: 'button', style: styles.button, onClick: () => setCollapsed(!collapsed), 'aria-label': collapsed ? 'Expand HUD' : 'Collapse HUD' },
+        collapsed ? '+' : '–'
+      )
+    ),
+    collapsed ? null : h('div', { style: styles.tabs }, VIEWS.map(({ id, label }) => h('button', {
+      key: id,
+      type: 'button',
+      onClick: () => setView(id),
+      style: { ...styles.button, borderBottom: `2px solid ${id === view ? '#4fc3f7' : 'transparent'}` }
+    }, label))),
+    collapsed ? null : h('div', { style: styles.body }, h(ActiveView))
+  );
+}
+
+/**
+ * In-app developer overlay (JavaScript-safe)
+ *
+ * Props:
+ * - position: 'bottom-right' (default), 'bottom-left', 'top-right' or 'top-left'; drag the header to move it
+ * - defaultView: 'performance', 'memory', 'network', 'tier' or 'components'
+ * - defaultCollapsed: start collapsed to the header line
+ *
+ * Renders nothing when NODE_ENV is "production".
+ */
+export function IntegrityHUD(props = {}) {
+  if (isProductionEnvironment()) return null;
+  return h(HUDPanel, props);
+}
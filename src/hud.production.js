@@ -0,0 +1,9 @@
+/**
+ * Integrity.js HUD (production build)
+ * Bundlers that honour the "production" export condition resolve `integrity.js/hud` here,
+ * so the overlay and its graphs never ship
+ */
+
+export function IntegrityHUD() {
+  return null;
+}
@@ -0,0 +1,202 @@
+/**
+ * Integrity.js Image Cache
+ * Decoded images kept alive by resolved URL, sized by decoded bytes, evicted
+ * least-recently-used within `memory-priority` once over a byte budget
+ *
+ * Installed as `window.__INTEGRITY_IMAGE_CACHE__`; it keeps the Map methods
+ * (`size`, `get`, `has`, `set`, `delete`, `clear`, `forEach`) existing callers use.
+ */
+
+import { parseMemoryLimit } from './memory';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Share of the global memoryLimit images may hold when imageCacheLimit isn't set
+const DEFAULT_BUDGET_RATIO = 0.5;
+const DEFAULT_MEMORY_LIMIT = 100 * 1024 * 1024;
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+/**
+ * Byte budget: `imageCacheLimit`, else half of `memoryLimit`
+ */
+export function getImageCacheBudget() {
+  const config = getConfig();
+  const explicit = parseMemoryLimit(config.imageCacheLimit);
+  if (explicit !== null) return explicit;
+  return parseMemoryLimit(config.memoryLimit, DEFAULT_MEMORY_LIMIT) * DEFAULT_BUDGET_RATIO;
+}
+
+/**
+ * Absolute form of a URL so "a.jpg" and "https://site/a.jpg" share an entry
+ */
+export function normalizeImageUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  try {
+    return typeof document !== 'undefined' ? new URL(url, document.baseURI).href : url;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Decoded size of a loaded image in bytes (width x height x 4)
+ */
+export function getDecodedBytes(image) {
+  return (image.naturalWidth || image.width || 0) * (image.naturalHeight || image.height || 0) * 4;
+}
+
+/**
+ * Create an image cache (JavaScript-safe)
+ */
+export function createImageCache() {
+  // Map order is recency: the first entry is the least recently used
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, rejected: 0 };
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    bytes -= entry.bytes;
+    return true;
+  };
+
+  // Lowest priority first, least recently used first within a priority
+  const evictUntil = (budget) => {
+    for (const priority of PRIORITIES) {
+      if (bytes <= budget) return;
+      for (const [key, entry] of entries) {
+        if (bytes <= budget) return;
+        if (entry.priority !== priority) continue;
+        remove(key);
+        stats.evictions += 1;
+      }
+    }
+  };
+
+  const cache = {
+    /**
+     * Look up an image and count a hit or miss; a hit becomes the most recently used
+     */
+    lookup(url) {
+      const key = normalizeImageUrl(url);
+      const entry = key ? entries.get(key) : null;
+      if (!entry) {
+        stats.misses += 1;
+        return null;
+      }
+
+      stats.hits += 1;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    /**
+     * Cache a loaded image. Options: `priority` (memory-priority) and `limit`
+     * (memory-limit); images over their own limit or the whole budget are not kept.
+     * Returns the entry, or null when rejected.
+     */
+    put(url, image, options = {}) {
+      const key = normalizeImageUrl(url);
+      if (!key || !image) return null;
+
+      const entry = {
+        src: key,
+        image,
+        bytes: typeof image.bytes === 'number' ? image.bytes : getDecodedBytes(image),
+        priority: PRIORITIES.includes(options.priority) ? options.priority : 'medium'
+      };
+
+      const limit = parseMemoryLimit(options.limit);
+      const budget = getImageCacheBudget();
+      if ((limit !== null && entry.bytes > limit) || entry.bytes > budget) {
+        stats.rejected += 1;
+        remove(key);
+        return null;
+      }
+
+      remove(key);
+      entries.set(key, entry);
+      bytes += entry.bytes;
+      evictUntil(budget);
+      return entries.has(key) ? entry : null;
+    },
+
+    /**
+     * Evict down to a byte target (default: the budget), lowest priority first; returns bytes freed
+     */
+    trim(target = getImageCacheBudget()) {
+      const before = bytes;
+      evictUntil(target);
+      return before - bytes;
+    },
+
+    /**
+     * Hit/miss counters and current occupancy
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+        entries: entries.size,
+        bytes,
+        budget: getImageCacheBudget()
+      };
+    },
+
+    // Map-compatible surface
+    get size() {
+      return entries.size;
+    },
+    get(url) {
+      return entries.get(normalizeImageUrl(url));
+    },
+    has(url) {
+      return entries.has(normalizeImageUrl(url));
+    },
+    set(url, image) {
+      cache.put(url, image);
+      return cache;
+    },
+    delete(url) {
+      return remove(normalizeImageUrl(url));
+    },
+    clear() {
+      stats.evictions += entries.size;
+      entries.clear();
+      bytes = 0;
+    },
+    forEach(callback) {
+      entries.forEach((entry, key) => callback(entry, key, cache));
+    }
+  };
+
+  return cache;
+}
+
+/**
+ * The page's image cache, installed on first use; null on the server
+ */
+export function getImageCache() {
+  if (typeof window === 'undefined') return null;
+
+  const current = window.__INTEGRITY_IMAGE_CACHE__;
+  if (!current || typeof current.lookup !== 'function') {
+    window.__INTEGRITY_IMAGE_CACHE__ = createImageCache();
+  }
+  return window.__INTEGRITY_IMAGE_CACHE__;
+}
+
+/**
+ * Hit/miss statistics and occupancy of the image cache (JavaScript-safe)
+ */
+export function getImageCacheStats() {
+  const cache = getImageCache();
+  return cache ? cache.getStats() : null;
+}
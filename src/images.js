@@ -0,0 +1,210 @@
+/**
+ * Integrity.js Image URL Builder
+ * Maps (src, quality, width, devicePixelRatio) to a URL through the configured
+ * `imageLoader` so `mobile-quality` changes the bytes actually downloaded
+ */
+
+import { getDeviceSnapshot } from './snapshot';
+import { getPreferredImageFormat, rewriteImageFormat } from './formats';
+
+export const DEFAULT_IMAGE_WIDTHS = [320, 480, 640, 768, 1024, 1280, 1600, 1920];
+
+export const DEFAULT_IMAGE_QUALITIES = {
+  low: 40,
+  medium: 65,
+  high: 85
+};
+
+// Density descriptors offered per quality level for fixed-width images
+const QUALITY_DENSITIES = {
+  low: [1],
+  medium: [1, 2],
+  high: [1, 2, 3]
+};
+
+function appendParams(src, params) {
+  const [base, hash] = src.split('#');
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .map(key => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+
+  if (!query) return src;
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}${query}${hash !== undefined ? `#${hash}` : ''}`;
+}
+
+/**
+ * Build a loader from a URL pattern.
+ * Supports {src}, {encodedSrc}, {width}, {quality}, {dpr} and {format} placeholders;
+ * {format} is empty when the browser decodes neither AVIF nor WebP.
+ */
+export function createPatternLoader(pattern) {
+  return ({ src, width, quality, dpr, format }) => pattern
+    .replace(/\{src\}/g, src)
+    .replace(/\{encodedSrc\}/g, encodeURIComponent(src))
+    .replace(/\{width\}/g, width || '')
+    .replace(/\{quality\}/g, quality)
+    .replace(/\{dpr\}/g, dpr)
+    .replace(/\{format\}/g, format || '');
+}
+
+/**
+ * Built-in loaders for common query-string image CDNs
+ * imgix, Sanity and Next negotiate the format from the Accept header; Contentful is told it.
+ */
+export const imageLoaders = {
+  imgix: ({ src, width, quality, dpr }) => appendParams(src, { w: width, q: quality, dpr, auto: 'format' }),
+  contentful: ({ src, width, quality, format }) => appendParams(src, { w: width, q: quality, fm: format }),
+  sanity: ({ src, width, quality, dpr }) => appendParams(src, { w: width, q: quality, dpr, auto: 'format' }),
+  shopify: ({ src, width }) => appendParams(src, { width }),
+  next: ({ src, width, quality }) => appendParams('/_next/image', { url: src, w: width || DEFAULT_IMAGE_WIDTHS[DEFAULT_IMAGE_WIDTHS.length - 1], q: quality })
+};
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+/**
+ * Resolve the configured imageLoader (function, built-in name or { pattern }) into a function
+ */
+export function resolveImageLoader(loader = getConfig().imageLoader) {
+  if (typeof loader === 'function') return loader;
+  if (typeof loader === 'string') {
+    if (imageLoaders[loader]) return imageLoaders[loader];
+    console.warn(`[Integrity.js] Unknown imageLoader "${loader}". Expected a function, { pattern } or one of: ${Object.keys(imageLoaders).join(', ')}`);
+    return null;
+  }
+  if (loader && typeof loader.pattern === 'string') {
+    return createPatternLoader(loader.pattern);
+  }
+  return null;
+}
+
+/**
+ * Resolve mobile-quality "auto" (or a missing value) to low, medium or high
+ */
+export function resolveImageQuality(quality) {
+  if (['low', 'medium', 'high'].includes(quality)) return quality;
+
+  // Snapshot fields (server request, hydration, simulation) win over live navigator values
+  const snapshot = getDeviceSnapshot() || {};
+  const device = snapshot.device || {};
+  const network = snapshot.network || {};
+  // Node 21+ has a global navigator, but it describes the server
+  const hasNavigator = typeof window !== 'undefined' && typeof navigator !== 'undefined';
+
+  const connection = hasNavigator ? navigator.connection || navigator.mozConnection || navigator.webkitConnection : null;
+  const saveData = typeof network.saveData === 'boolean' ? network.saveData : !!(connection && connection.saveData);
+  const effectiveType = network.effectiveType || (connection ? connection.effectiveType : null);
+  const isSlowNetwork = saveData || ['slow-2g', '2g'].includes(effectiveType);
+  const isLowEnd = typeof device.isLowEnd === 'boolean' ?
+    device.isLowEnd :
+    hasNavigator && (navigator.hardwareConcurrency <= 2 || navigator.deviceMemory <= 2);
+  const isMobile = typeof device.isMobile === 'boolean' ?
+    device.isMobile :
+    hasNavigator && /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+
+  if (isSlowNetwork || isLowEnd) return 'low';
+  return isMobile ? 'medium' : 'high';
+}
+
+function getDevicePixelRatio() {
+  const snapshot = getDeviceSnapshot();
+  if (snapshot && snapshot.device && snapshot.device.pixelRatio) return snapshot.device.pixelRatio;
+  return typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+}
+
+function toPixelWidth(width) {
+  const value = typeof width === 'string' ? parseInt(width, 10) : width;
+  return typeof value === 'number' && isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Build a single image URL for the given quality, width and density (JavaScript-safe)
+ */
+export function buildImageUrl(src, options = {}) {
+  try {
+    const loader = resolveImageLoader(options.loader);
+    if (!loader || !src || typeof src !== 'string' || src.startsWith('data:') || src.startsWith('blob:')) {
+      return src;
+    }
+
+    const config = getConfig();
+    const level = resolveImageQuality(options.quality);
+    const qualities = { ...DEFAULT_IMAGE_QUALITIES, ...config.imageQualities };
+
+    return loader({
+      src,
+      width: toPixelWidth(options.width),
+      quality: qualities[level],
+      dpr: options.dpr || Math.min(getDevicePixelRatio(), Math.max(...QUALITY_DENSITIES[level])),
+      level,
+      format: options.format !== undefined ? options.format : getPreferredImageFormat()
+    });
+  } catch (error) {
+    console.warn('Error building image URL:', error);
+    return src;
+  }
+}
+
+/**
+ * Build src, srcSet and sizes for an image (JavaScript-safe)
+ * Fixed-width images get density descriptors; fluid images get width descriptors.
+ */
+export function buildImageSources(src, options = {}) {
+  try {
+    const loader = resolveImageLoader(options.loader);
+    if (!loader || !src || typeof src !== 'string' || src.startsWith('data:') || src.startsWith('blob:')) {
+      // Without a loader, `pictureSources` can still point at the preferred format
+      return { src: loader ? src : rewriteImageFormat(src), srcSet: undefined, sizes: undefined };
+    }
+
+    const config = getConfig();
+    const level = resolveImageQuality(options.quality);
+    const width = toPixelWidth(options.width);
+    const build = (descriptor) => buildImageUrl(src, { ...options, loader, quality: level, ...descriptor });
+
+    if (width) {
+      const densities = QUALITY_DENSITIES[level];
+      return {
+        src: build({ width, dpr: 1 }),
+        srcSet: densities.map(dpr => `${build({ width: Math.round(width * dpr), dpr: 1 })} ${dpr}x`).join(', '),
+        sizes: undefined
+      };
+    }
+
+    // Low quality never asks for the widest candidates
+    const widths = (config.imageWidths || DEFAULT_IMAGE_WIDTHS)
+      .filter((candidate, index, all) => level !== 'low' || index < Math.ceil(all.length / 2));
+
+    return {
+      src: build({ width: widths[widths.length - 1], dpr: 1 }),
+      srcSet: widths.map(candidate => `${build({ width: candidate, dpr: 1 })} ${candidate}w`).join(', '),
+      sizes: options.sizes || '100vw'
+    };
+  } catch (error) {
+    console.warn('Error building image sources:', error);
+    return { src, srcSet: undefined, sizes: undefined };
+  }
+}
+
+/**
+ * Rewrite <img> props through the configured loader unless the author supplied a srcSet
+ */
+export function applyImageLoader(type, props, quality) {
+  if (type !== 'img' || !props || !props.src || props.srcSet || !resolveImageLoader()) {
+    return props;
+  }
+
+  const sources = buildImageSources(props.src, {
+    quality,
+    width: props.width,
+    sizes: props.sizes
+  });
+
+  const rewritten = { ...props, src: sources.src };
+  if (sources.srcSet) rewritten.srcSet = sources.srcSet;
+  if (sources.sizes) rewritten.sizes = sources.sizes;
+  return rewritten;
+}
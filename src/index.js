@@ -41,20 +41,88 @@ import {
   useBattery,
   useSmartImage,
   useNetworkAware,
+  useOfflineMutation,
   useTouch,
   useVirtualList,
-  useAdaptiveFeatures
+  useAdaptiveFeatures,
+  useWebVitals,
+  useTexture
 } from './hooks';
 
 import { 
   enhance, 
   withIntegrity,
   createIntegrityElement,
+  createPrecompiledElement,
   cloneIntegrityElement,
   configureIntegrity,
-  getIntegrityConfig
+  getIntegrityConfig,
+  getElementAttributes,
+  triggerIntegrityCleanup
 } from './enhance';
 
+import { registerCleanup } from './cleanup';
+
+import { getTextureStats, getTextureCache, getMaxTextureSize } from './textures';
+
+import {
+  useMemoryBudget,
+  registerMemoryComponent,
+  relieveMemoryPressure,
+  restoreMemoryBudgets,
+  getMemoryRegistry,
+  subscribeMemoryRegistry
+} from './memory';
+
+import { useLazyLoad, observeLazy } from './lazy';
+
+import { getMountedIntegrityComponents } from './mounted';
+
+import {
+  IntegrityProvider,
+  createIntegrityStore,
+  useIntegrityStore
+} from './store';
+
+import { completeSnapshotHydration } from './snapshot';
+
+import {
+  registerIntegrityAttribute,
+  getIntegrityAttribute,
+  getIntegrityAttributes
+} from './attributes';
+
+import {
+  collectIntegrityDiagnostics,
+  IntegrityValidationError
+} from './diagnostics';
+
+import {
+  imageLoaders,
+  createPatternLoader,
+  buildImageUrl,
+  buildImageSources
+} from './images';
+
+import {
+  SIMULATION_PROFILES,
+  registerSimulationProfile,
+  getSimulationProfile
+} from './simulate';
+
+import { recordIntegrityEvent, flushIntegrityTelemetry } from './telemetry';
+
+import { getWebVitals } from './vitals';
+
+import { getImageCacheStats } from './image-cache';
+
+import { loadImage, blurhashToDataURL } from './progressive';
+
+import { detectImageFormats, getSupportedImageFormats, getPreferredImageFormat, subscribeImageFormats } from './formats';
+
+import { fetchData, invalidateData, setData, getDataCacheStats } from './data';
+import { createMutationQueue, getOfflineQueueStatus } from './offline';
+
 // STEP 3: EXPORT EVERYTHING (Fixed for JavaScript compatibility)
 export {
   // All React hooks and functions
@@ -91,17 +159,100 @@ export {
   useBattery,
   useSmartImage,
   useNetworkAware,
+  useOfflineMutation,
   useTouch,
   useVirtualList,
   useAdaptiveFeatures,
+  useWebVitals,
+  useTexture,
+  
+  // Shared signal store
+  IntegrityProvider,
+  createIntegrityStore,
+  useIntegrityStore,
+  completeSnapshotHydration,
   
   // Enhancement functions
   enhance,
   withIntegrity,
   createIntegrityElement,
+  createPrecompiledElement,
   cloneIntegrityElement,
   configureIntegrity,
-  getIntegrityConfig
+  getIntegrityConfig,
+  getElementAttributes,
+  getMountedIntegrityComponents,
+  
+  // Memory budget registry
+  useMemoryBudget,
+  registerMemoryComponent,
+  relieveMemoryPressure,
+  restoreMemoryBudgets,
+  getMemoryRegistry,
+  subscribeMemoryRegistry,
+  
+  // Lazy loading
+  useLazyLoad,
+  observeLazy,
+  
+  // Attribute registry
+  registerIntegrityAttribute,
+  getIntegrityAttribute,
+  getIntegrityAttributes,
+  
+  // Attribute diagnostics
+  collectIntegrityDiagnostics,
+  IntegrityValidationError,
+  
+  // Image URL builder
+  imageLoaders,
+  createPatternLoader,
+  buildImageUrl,
+  buildImageSources,
+  
+  // Device simulation
+  SIMULATION_PROFILES,
+  registerSimulationProfile,
+  getSimulationProfile,
+  
+  // Real-user monitoring
+  recordIntegrityEvent,
+  flushIntegrityTelemetry,
+  
+  // Web Vitals
+  getWebVitals,
+  
+  // Image cache
+  getImageCacheStats,
+  
+  // Progressive images
+  loadImage,
+  blurhashToDataURL,
+  
+  // Image format negotiation
+  detectImageFormats,
+  getSupportedImageFormats,
+  getPreferredImageFormat,
+  subscribeImageFormats,
+  
+  // Data layer (useNetworkAware)
+  fetchData,
+  invalidateData,
+  setData,
+  getDataCacheStats,
+  
+  // Offline mutation queue (useOfflineMutation)
+  createMutationQueue,
+  getOfflineQueueStatus,
+  
+  // Cleanup handlers
+  registerCleanup,
+  triggerIntegrityCleanup,
+  
+  // WebGL textures
+  getTextureStats,
+  getTextureCache,
+  getMaxTextureSize
 };
 
 // STEP 4: Create Integrity object (JavaScript-safe)
@@ -148,9 +299,34 @@ const Integrity = {
   useBattery,
   useSmartImage,
   useNetworkAware,
+  useOfflineMutation,
   useTouch,
   useVirtualList,
   useAdaptiveFeatures,
+  useWebVitals,
+  useTexture,
+  IntegrityProvider,
+  useIntegrityStore,
+  
+  // Memory budget registry
+  getMemoryRegistry,
+  relieveMemoryPressure,
+  
+  // Mounted enhanced components (window.Integrity.getMountedComponents() in the console)
+  getMountedComponents: getMountedIntegrityComponents,
+  
+  // Image cache hit/miss statistics
+  getImageCacheStats,
+  
+  // Cleanup handlers
+  registerCleanup,
+  cleanup: triggerIntegrityCleanup,
+  
+  // WebGL texture statistics
+  getTextureStats,
+  
+  // Attribute registry
+  registerAttribute: registerIntegrityAttribute,
   
   // Utility functions
   version: '1.7.2', // Updated version with JavaScript fixes
@@ -0,0 +1,21 @@
+/**
+ * Integrity.js JSX Dev Runtime
+ * Development counterpart of jsx-runtime.js; forwards source info to React
+ * and into attribute diagnostics
+ */
+
+import { jsxDEV as reactJsxDEV, Fragment } from 'react/jsx-dev-runtime';
+import { prepareIntegrityElement, recordElementAttributes } from './enhance';
+import { hasIntegrityAttributes } from './attributes';
+
+/**
+ * Create an element with dev-mode key, static-children and source information
+ */
+export function jsxDEV(type, props, key, isStaticChildren, source, self) {
+  if (!hasIntegrityAttributes(props)) return reactJsxDEV(type, props, key, isStaticChildren, source, self);
+
+  const element = prepareIntegrityElement(type, props, source);
+  return recordElementAttributes(reactJsxDEV(element.type, element.props, key, isStaticChildren, source, self), element.attributes);
+}
+
+export { Fragment };
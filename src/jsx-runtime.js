@@ -0,0 +1,31 @@
+/**
+ * Integrity.js JSX Runtime
+ * Entry point for React's automatic runtime: `jsxImportSource: 'integrity.js'`
+ * Attributes work in every file without importing Integrity explicitly
+ */
+
+import { jsx as reactJsx, jsxs as reactJsxs, Fragment } from 'react/jsx-runtime';
+import { prepareIntegrityElement, recordElementAttributes } from './enhance';
+import { hasIntegrityAttributes } from './attributes';
+
+/**
+ * Create an element with a single (or no) child; `key` arrives separately from props
+ */
+export function jsx(type, props, key) {
+  if (!hasIntegrityAttributes(props)) return reactJsx(type, props, key);
+
+  const element = prepareIntegrityElement(type, props);
+  return recordElementAttributes(reactJsx(element.type, element.props, key), element.attributes);
+}
+
+/**
+ * Create an element whose children array is static (written inline in JSX)
+ */
+export function jsxs(type, props, key) {
+  if (!hasIntegrityAttributes(props)) return reactJsxs(type, props, key);
+
+  const element = prepareIntegrityElement(type, props);
+  return recordElementAttributes(reactJsxs(element.type, element.props, key), element.attributes);
+}
+
+export { Fragment };
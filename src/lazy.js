@@ -0,0 +1,253 @@
+/**
+ * Integrity.js Lazy Loading
+ * Shared IntersectionObserver pool that defers `src` assignment until an
+ * element comes within its `lazy-threshold` distance of the viewport
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// Transparent 1x1 GIF keeps deferred <img> elements valid without a request
+export const LAZY_IMAGE_PLACEHOLDER = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+const LAZY_SOURCE_TAGS = ['img', 'iframe', 'video', 'audio', 'source'];
+
+const observerPool = new Map();
+const fallbackTargets = new Map();
+let fallbackFrame = null;
+
+/**
+ * Convert a lazy-threshold value ("100px", "50%" or a number of pixels) into a rootMargin
+ */
+export function parseLazyThreshold(value) {
+  if (typeof value === 'number' && isFinite(value)) {
+    return `${Math.max(0, value)}px`;
+  }
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)(px|%)$/i);
+    if (match) return `${match[1]}${match[2].toLowerCase()}`;
+  }
+  return '0px';
+}
+
+function getPool(rootMargin) {
+  let pool = observerPool.get(rootMargin);
+  if (pool) return pool;
+
+  const callbacks = new Map();
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+
+      const callback = callbacks.get(entry.target);
+      unobserveFromPool(rootMargin, entry.target);
+      if (callback) {
+        try {
+          callback();
+        } catch (error) {
+          console.warn('Error in lazy load callback:', error);
+        }
+      }
+    });
+  }, { rootMargin });
+
+  pool = { observer, callbacks };
+  observerPool.set(rootMargin, pool);
+  return pool;
+}
+
+function unobserveFromPool(rootMargin, node) {
+  const pool = observerPool.get(rootMargin);
+  if (!pool || !pool.callbacks.has(node)) return;
+
+  pool.callbacks.delete(node);
+  pool.observer.unobserve(node);
+
+  // Disconnect observers nobody is waiting on
+  if (pool.callbacks.size === 0) {
+    pool.observer.disconnect();
+    observerPool.delete(rootMargin);
+  }
+}
+
+function isWithinMargin(node, rootMargin) {
+  const rect = node.getBoundingClientRect();
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+  const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+
+  const amount = parseFloat(rootMargin) || 0;
+  const marginY = rootMargin.endsWith('%') ? viewportHeight * amount / 100 : amount;
+  const marginX = rootMargin.endsWith('%') ? viewportWidth * amount / 100 : amount;
+
+  return rect.bottom >= -marginY && rect.top <= viewportHeight + marginY &&
+         rect.right >= -marginX && rect.left <= viewportWidth + marginX;
+}
+
+function removeFallbackListeners() {
+  window.removeEventListener('scroll', scheduleFallbackCheck, true);
+  window.removeEventListener('resize', scheduleFallbackCheck);
+}
+
+function checkFallbackTargets() {
+  fallbackFrame = null;
+
+  fallbackTargets.forEach((target, node) => {
+    try {
+      if (isWithinMargin(node, target.rootMargin)) {
+        fallbackTargets.delete(node);
+        target.callback();
+      }
+    } catch (error) {
+      console.warn('Error in lazy load fallback:', error);
+      fallbackTargets.delete(node);
+    }
+  });
+
+  if (fallbackTargets.size === 0) removeFallbackListeners();
+}
+
+function scheduleFallbackCheck() {
+  if (fallbackFrame !== null) return;
+  fallbackFrame = typeof requestAnimationFrame === 'function' ?
+    requestAnimationFrame(checkFallbackTargets) :
+    setTimeout(checkFallbackTargets, 100);
+}
+
+function observeWithFallback(node, rootMargin, callback) {
+  if (fallbackTargets.size === 0) {
+    // Capture so scrolling inside any container re-checks targets
+    window.addEventListener('scroll', scheduleFallbackCheck, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleFallbackCheck, { passive: true });
+  }
+
+  fallbackTargets.set(node, { rootMargin, callback });
+  scheduleFallbackCheck();
+
+  return () => {
+    // Unmounting the last target must also stop listening, not only revealing it
+    if (fallbackTargets.delete(node) && fallbackTargets.size === 0) removeFallbackListeners();
+  };
+}
+
+/**
+ * Call `onVisible` once when `node` comes within `threshold` of the viewport (JavaScript-safe)
+ * Returns a function that stops observing.
+ */
+export function observeLazy(node, threshold, onVisible) {
+  try {
+    if (!node || typeof window === 'undefined') return () => {};
+
+    const rootMargin = parseLazyThreshold(threshold);
+
+    if (typeof IntersectionObserver === 'undefined') {
+      return observeWithFallback(node, rootMargin, onVisible);
+    }
+
+    const pool = getPool(rootMargin);
+    pool.callbacks.set(node, onVisible);
+    pool.observer.observe(node);
+
+    return () => unobserveFromPool(rootMargin, node);
+  } catch (error) {
+    console.warn('Error observing lazy element:', error);
+    onVisible();
+    return () => {};
+  }
+}
+
+/**
+ * Whether a host element has sources worth deferring
+ */
+export function hasDeferrableSource(type, props) {
+  if (!props) return false;
+  if (LAZY_SOURCE_TAGS.includes(type) && (props.src || props.srcSet || props.poster)) return true;
+  return !!(props.style && props.style.backgroundImage);
+}
+
+/**
+ * Resolve lazy loading options for host elements with deferrable sources, or null
+ */
+export function getLazyOptions(type, props, attributes) {
+  const threshold = attributes['lazy-threshold'];
+
+  if (typeof type !== 'string' || !threshold || props.loading === 'eager' || !hasDeferrableSource(type, props)) {
+    return null;
+  }
+
+  return {
+    threshold,
+    placeholder: attributes['lazy-placeholder'] || null
+  };
+}
+
+/**
+ * Strip sources from host props until the element is visible
+ */
+export function deferSources(type, props, placeholder) {
+  const deferred = { ...props };
+
+  if ('src' in deferred) {
+    if (type === 'img') {
+      deferred.src = placeholder || LAZY_IMAGE_PLACEHOLDER;
+    } else if (type === 'iframe') {
+      deferred.src = 'about:blank';
+    } else {
+      delete deferred.src;
+    }
+  }
+  delete deferred.srcSet;
+  delete deferred.sizes;
+
+  if (deferred.poster) {
+    if (placeholder) {
+      deferred.poster = placeholder;
+    } else {
+      delete deferred.poster;
+    }
+  }
+
+  if (deferred.style && deferred.style.backgroundImage) {
+    const style = { ...deferred.style };
+    if (placeholder && /^(#|rgb|hsl)/i.test(placeholder)) {
+      style.backgroundColor = style.backgroundColor || placeholder;
+      delete style.backgroundImage;
+    } else if (placeholder) {
+      style.backgroundImage = `url("${placeholder}")`;
+    } else {
+      delete style.backgroundImage;
+    }
+    deferred.style = style;
+  }
+
+  deferred['data-integrity-lazy'] = 'pending';
+  return deferred;
+}
+
+/**
+ * Track whether the calling component has come within `threshold` of the viewport.
+ * Returns the visibility flag and a ref for the element to observe.
+ */
+export function useLazyLoad(threshold, enabled = true) {
+  const [visible, setVisible] = useState(!enabled);
+  const stopRef = useRef(null);
+
+  const stop = useCallback(() => {
+    if (stopRef.current) {
+      stopRef.current();
+      stopRef.current = null;
+    }
+  }, []);
+
+  const ref = useCallback((node) => {
+    stop();
+    if (node && enabled && !visible) {
+      stopRef.current = observeLazy(node, threshold, () => {
+        stopRef.current = null;
+        setVisible(true);
+      });
+    }
+  }, [threshold, enabled, visible, stop]);
+
+  useEffect(() => stop, [stop]);
+
+  return { visible: visible || !enabled, ref };
+}
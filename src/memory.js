@@ -0,0 +1,400 @@
+/**
+ * Integrity.js Memory Budget Registry
+ * Tracks the estimated footprint of enhanced components against their
+ * declared `memory-limit` and relieves pressure by `memory-priority`
+ */
+
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+
+const DEFAULT_GLOBAL_LIMIT = 100 * 1024 * 1024;
+const RESTORE_RATIO = 0.7;
+// Share of a footprint that degrading (low-quality media) is expected to free; relief counts it so it
+// stops at the target, and the next measurement reports the real size
+const DEGRADED_SAVING = 0.5;
+const DOM_NODE_BYTES = 512;
+
+const entries = new Map();
+const listeners = new Set();
+let nextEntryId = 1;
+
+/**
+ * Parse a memory-limit value ("50MB", "1GB", "500KB" or a number of MB) into bytes
+ */
+export function parseMemoryLimit(value, fallback = null) {
+  if (typeof value === 'number' && isFinite(value)) {
+    return value * 1024 * 1024;
+  }
+  if (typeof value !== 'string') return fallback;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)(KB|MB|GB)$/i);
+  if (!match) return fallback;
+
+  const amount = parseFloat(match[1]);
+  switch (match[2].toUpperCase()) {
+    case 'GB': return amount * 1024 * 1024 * 1024;
+    case 'KB': return amount * 1024;
+    default: return amount * 1024 * 1024;
+  }
+}
+
+// Decoded pixels held by an image, canvas or video element
+function measureMedia(el) {
+  const tag = el.tagName;
+  if (tag === 'IMG') return (el.naturalWidth || 0) * (el.naturalHeight || 0) * 4;
+  if (tag === 'CANVAS') return (el.width || 0) * (el.height || 0) * 4;
+  if (tag === 'VIDEO') return (el.videoWidth || 0) * (el.videoHeight || 0) * 4;
+  return 0;
+}
+
+/**
+ * Estimate the decoded footprint of a DOM subtree in bytes (JavaScript-safe)
+ */
+export function estimateNodeFootprint(node) {
+  try {
+    if (!node || typeof node.querySelectorAll !== 'function') return 0;
+
+    let bytes = DOM_NODE_BYTES + measureMedia(node);
+    const descendants = node.querySelectorAll('*');
+    bytes += descendants.length * DOM_NODE_BYTES;
+    descendants.forEach(el => {
+      bytes += measureMedia(el);
+    });
+
+    return bytes;
+  } catch (error) {
+    console.warn('Error estimating memory footprint:', error);
+    return 0;
+  }
+}
+
+// Decoded size of one cache value: a byte count, an object carrying `bytes`, or an image/bitmap
+function estimateCacheValue(value) {
+  if (typeof value === 'number' && isFinite(value)) return value;
+  if (!value || typeof value !== 'object') return 0;
+  if (typeof value.bytes === 'number') return value.bytes;
+
+  const width = value.naturalWidth || value.width || 0;
+  const height = value.naturalHeight || value.height || 0;
+  return width * height * 4;
+}
+
+/**
+ * Deterministic memory estimate in bytes when the browser exposes no measurement (JavaScript-safe)
+ * The page's DOM, decoded images, canvases and videos, plus Integrity's image, texture and general caches.
+ * A cached image that is also shown on the page is counted once.
+ */
+export function estimateIntegrityMemory() {
+  if (typeof document === 'undefined') return 0;
+
+  // Runs on every sample, so nodes are only counted (a live collection's length) and just the
+  // media elements are visited
+  let bytes = document.getElementsByTagName('*').length * DOM_NODE_BYTES;
+  const shownImages = new Set();
+
+  ['img', 'canvas', 'video'].forEach(tag => {
+    Array.prototype.forEach.call(document.getElementsByTagName(tag), el => {
+      bytes += measureMedia(el);
+      if (tag === 'img' && el.naturalWidth) shownImages.add(el.currentSrc || el.src);
+    });
+  });
+
+  ['__INTEGRITY_CACHE__', '__INTEGRITY_IMAGE_CACHE__', '__INTEGRITY_TEXTURE_CACHE__'].forEach(name => {
+    const cache = typeof window !== 'undefined' ? window[name] : null;
+    if (cache && typeof cache.forEach === 'function') {
+      cache.forEach((value, key) => {
+        // Image cache keys are absolute URLs, like an <img>'s src
+        if (name === '__INTEGRITY_IMAGE_CACHE__' && shownImages.has(key)) return;
+        bytes += estimateCacheValue(value);
+      });
+    }
+  });
+
+  return bytes;
+}
+
+function getGlobalLimit() {
+  const config = typeof window !== 'undefined' ? window.__INTEGRITY_CONFIG__ : null;
+  return parseMemoryLimit(config && config.memoryLimit, DEFAULT_GLOBAL_LIMIT);
+}
+
+function getActiveTotal() {
+  let total = 0;
+  entries.forEach(entry => {
+    if (entry.status !== 'evicted') total += entry.estimate;
+  });
+  return total;
+}
+
+function setStatus(entry, status) {
+  if (entry.status === status) return false;
+  entry.status = status;
+  entry.listeners.forEach(listener => listener());
+  return true;
+}
+
+function notify() {
+  listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.warn('Error in memory registry listener:', error);
+    }
+  });
+}
+
+// Lowest priority first, largest footprint first within a priority
+function byEvictionOrder(a, b) {
+  const rank = { low: 0, medium: 1, high: 2 };
+  return (rank[a.priority] - rank[b.priority]) || (b.estimate - a.estimate);
+}
+
+/**
+ * Free memory by evicting or degrading entries, lowest priority first, until the target is reached.
+ * Returns the number of bytes released (degraded entries count their assumed saving).
+ */
+export function relieveMemoryPressure(targetBytes) {
+  try {
+    const target = typeof targetBytes === 'number' ? targetBytes : getGlobalLimit() * RESTORE_RATIO;
+    const startTotal = getActiveTotal();
+    let total = startTotal;
+
+    const candidates = Array.from(entries.values())
+      .filter(entry => entry.priority !== 'high' && entry.status !== 'evicted')
+      .sort(byEvictionOrder);
+
+    for (const entry of candidates) {
+      if (total <= target) break;
+
+      if (entry.priority === 'low' && entry.autoCleanup !== false) {
+        total -= entry.estimate;
+        setStatus(entry, 'evicted');
+      } else if (setStatus(entry, 'degraded')) {
+        total -= entry.estimate * DEGRADED_SAVING;
+      }
+    }
+
+    if (startTotal !== total) notify();
+    return startTotal - total;
+  } catch (error) {
+    console.warn('Error relieving memory pressure:', error);
+    return 0;
+  }
+}
+
+// Restore evicted/degraded entries once there is headroom again
+function restoreWithinBudget() {
+  const target = getGlobalLimit() * RESTORE_RATIO;
+  let total = getActiveTotal();
+
+  const candidates = Array.from(entries.values())
+    .filter(entry => entry.status !== 'active')
+    .sort(byEvictionOrder)
+    .reverse();
+
+  for (const entry of candidates) {
+    if (entry.limit && entry.estimate > entry.limit) continue;
+
+    const cost = entry.status === 'evicted' ? entry.estimate : 0;
+    if (total + cost > target) break;
+
+    total += cost;
+    setStatus(entry, 'active');
+  }
+}
+
+/**
+ * Bring back evicted and degraded components that fit within 70% of the budget (JavaScript-safe)
+ * Registry changes do this on their own; call it after an external cleanup once pressure has cleared.
+ */
+export function restoreMemoryBudgets() {
+  try {
+    restoreWithinBudget();
+    notify();
+  } catch (error) {
+    console.warn('Error restoring memory budgets:', error);
+  }
+}
+
+function evaluate() {
+  if (getActiveTotal() > getGlobalLimit()) {
+    relieveMemoryPressure();
+  } else {
+    restoreWithinBudget();
+  }
+  notify();
+}
+
+/**
+ * Register a component with the memory registry (JavaScript-safe)
+ * Returns a handle used to report estimates and release the entry.
+ */
+export function registerMemoryComponent(options = {}) {
+  const entry = {
+    id: nextEntryId++,
+    name: options.name || 'Component',
+    limit: parseMemoryLimit(options.limit),
+    priority: ['high', 'medium', 'low'].includes(options.priority) ? options.priority : 'medium',
+    autoCleanup: options.autoCleanup,
+    estimate: 0,
+    status: 'active',
+    listeners: new Set()
+  };
+
+  entries.set(entry.id, entry);
+  notify();
+
+  return {
+    id: entry.id,
+    getStatus: () => entry.status,
+    subscribe: (listener) => {
+      entry.listeners.add(listener);
+      return () => entry.listeners.delete(listener);
+    },
+    update: (bytes) => {
+      if (!entries.has(entry.id) || entry.status === 'evicted') return;
+      entry.estimate = Math.max(0, bytes || 0);
+
+      // A component over its own limit degrades regardless of global pressure
+      if (entry.limit && entry.estimate > entry.limit) {
+        setStatus(entry, 'degraded');
+      }
+      evaluate();
+    },
+    configure: (next = {}) => {
+      if ('limit' in next) entry.limit = parseMemoryLimit(next.limit);
+      if (['high', 'medium', 'low'].includes(next.priority)) entry.priority = next.priority;
+      if ('autoCleanup' in next) entry.autoCleanup = next.autoCleanup;
+    },
+    release: () => {
+      entry.listeners.clear();
+      if (entries.delete(entry.id)) evaluate();
+    }
+  };
+}
+
+/**
+ * Subscribe to any change in the registry
+ */
+export function subscribeMemoryRegistry(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Snapshot of every registered component and the global budget
+ */
+export function getMemoryRegistry() {
+  const components = Array.from(entries.values()).map(({ listeners: _, ...entry }) => entry);
+  return {
+    limit: getGlobalLimit(),
+    used: getActiveTotal(),
+    components
+  };
+}
+
+/**
+ * Pick the memory attributes an element explicitly declared
+ */
+export function getDeclaredMemoryAttributes(props) {
+  if (!props) return null;
+
+  const declared = 'memory-limit' in props || 'memory-priority' in props || 'auto-cleanup' in props;
+  if (!declared) return null;
+
+  return {
+    limit: props['memory-limit'],
+    priority: props['memory-priority'],
+    autoCleanup: props['auto-cleanup'] === false || props['auto-cleanup'] === 'false' ? false : props['auto-cleanup']
+  };
+}
+
+/**
+ * Register the calling component with the memory registry for its lifetime.
+ * Returns the current status, the last measured size and a ref for the root DOM node.
+ */
+export function useMemoryBudget(attributes, name) {
+  const [status, setStatus] = useState('active');
+  const handleRef = useRef(null);
+  const nodeRef = useRef(null);
+  const sizeRef = useRef(null);
+  const attributesRef = useRef(attributes);
+  attributesRef.current = attributes;
+
+  const enabled = !!attributes;
+
+  const measure = useCallback(() => {
+    const node = nodeRef.current;
+    if (!node) return;
+
+    if (node.getBoundingClientRect) {
+      const rect = node.getBoundingClientRect();
+      sizeRef.current = { width: rect.width, height: rect.height };
+    }
+    if (handleRef.current) {
+      handleRef.current.update(estimateNodeFootprint(node));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handle = registerMemoryComponent({ ...attributesRef.current, name });
+    handleRef.current = handle;
+    const unsubscribe = handle.subscribe(() => setStatus(handle.getStatus()));
+    measure();
+
+    return () => {
+      unsubscribe();
+      handle.release();
+      handleRef.current = null;
+    };
+  }, [enabled, name, measure]);
+
+  useEffect(() => {
+    if (handleRef.current && attributes) handleRef.current.configure(attributes);
+  });
+
+  // Image and video loads change decoded size; load events don't bubble, so capture them
+  const ref = useCallback((node) => {
+    const previous = nodeRef.current;
+    if (previous && previous.removeEventListener) {
+      previous.removeEventListener('load', measure, true);
+      previous.removeEventListener('loadeddata', measure, true);
+    }
+
+    nodeRef.current = node;
+    if (node && node.addEventListener) {
+      node.addEventListener('load', measure, true);
+      node.addEventListener('loadeddata', measure, true);
+      measure();
+    }
+  }, [measure]);
+
+  return { status, ref, size: sizeRef.current };
+}
+
+/**
+ * Combine several refs into one callback ref
+ */
+export function mergeRefs(...refs) {
+  return (value) => {
+    refs.forEach(ref => {
+      if (typeof ref === 'function') {
+        ref(value);
+      } else if (ref && typeof ref === 'object') {
+        ref.current = value;
+      }
+    });
+  };
+}
+
+/**
+ * Placeholder rendered in place of an evicted subtree, keeping its layout box
+ */
+export function createEvictedPlaceholder(size) {
+  const style = {};
+  if (size && size.width) style.width = `${size.width}px`;
+  if (size && size.height) style.height = `${size.height}px`;
+
+  return React.createElement('div', { style, 'data-integrity-evicted': 'true', 'aria-hidden': true });
+}
@@ -0,0 +1,62 @@
+/**
+ * Integrity.js Mounted Component Registry
+ * Which enhanced components are on screen and the attributes they resolved to,
+ * for the HUD and for inspection from the console
+ */
+
+import { useRef, useEffect, useCallback } from 'react';
+
+const entries = new Map();
+const nodeOwners = new WeakMap();
+let nextEntryId = 1;
+
+/**
+ * Keep the calling component in the registry while it is mounted
+ * `attributes` are the resolved attributes of the latest render. Returns a ref
+ * for the component's root DOM node, used to attribute Web Vitals entries.
+ */
+export function useMountedComponent(name, attributes, status) {
+  const latest = useRef({ attributes, status });
+  const nameRef = useRef(name);
+  nameRef.current = name;
+
+  useEffect(() => {
+    latest.current = { attributes, status };
+  });
+
+  useEffect(() => {
+    const id = nextEntryId++;
+    entries.set(id, { id, name, latest });
+    return () => {
+      entries.delete(id);
+    };
+  }, [name]);
+
+  return useCallback((node) => {
+    if (node && typeof node === 'object') nodeOwners.set(node, nameRef);
+  }, []);
+}
+
+/**
+ * Name of the nearest enhanced component rendering `node` or one of its ancestors, else null
+ */
+export function findOwningComponent(node) {
+  for (let current = node; current; current = current.parentNode) {
+    const owner = nodeOwners.get(current);
+    if (owner) return owner.current;
+  }
+  return null;
+}
+
+/**
+ * Snapshot of the mounted enhanced components, in mount order (JavaScript-safe)
+ * Each entry is `{ id, name, attributes, status }`; status is the memory budget status.
+ */
+export function getMountedIntegrityComponents() {
+  return Array.from(entries.values()).map(({ id, name, latest }) => ({
+    id,
+    name,
+    attributes: latest.current.attributes || {},
+    status: latest.current.status || 'active'
+  }));
+}
@@ -0,0 +1,453 @@
+/**
+ * Integrity.js Offline Mutation Queue
+ * Writes made through useOfflineMutation are stored in IndexedDB before they are sent,
+ * then replayed in order when the browser is back online, so nothing logged offline is lost
+ *
+ * Tests can pass an IndexedDB implementation, e.g. `createMutationQueue({ indexedDB: new IDBFactory() })`
+ * with fake-indexeddb.
+ */
+
+const DEFAULT_DB_NAME = 'integrity-offline';
+const STORE_NAME = 'mutations';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 1000;
+
+export const EMPTY_QUEUE_STATUS = {
+  ready: false,
+  online: true,
+  pending: 0,
+  processing: false,
+  failed: 0,
+  lastError: null,
+  lastSyncedAt: 0,
+  types: {}
+};
+
+let defaultQueue = null;
+
+function getConfig() {
+  return typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+}
+
+function readOnline() {
+  return typeof navigator !== 'undefined' && typeof navigator.onLine === 'boolean' ? navigator.onLine : true;
+}
+
+function openDatabase(factory, name) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(name, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once the transaction commits, so a queued mutation is on disk before it is sent
+function runRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function createIndexedDBStorage(factory, name) {
+  const opening = openDatabase(factory, name);
+  return {
+    load: () => opening.then(db => runRequest(db, 'readonly', store => store.getAll())),
+    add: mutation => opening.then(db => runRequest(db, 'readwrite', store => store.add(mutation))),
+    put: mutation => opening.then(db => runRequest(db, 'readwrite', store => store.put(mutation))),
+    remove: id => opening.then(db => runRequest(db, 'readwrite', store => store.delete(id))),
+    close: () => opening.then(db => db.close(), () => {})
+  };
+}
+
+// Used where IndexedDB is missing or refuses to open (some private modes): the queue still
+// works, it just doesn't survive a reload
+function createMemoryStorage(firstId = 1) {
+  let nextId = firstId;
+  return {
+    load: () => Promise.resolve([]),
+    add: () => Promise.resolve(nextId++),
+    put: () => Promise.resolve(),
+    remove: () => Promise.resolve(),
+    close: () => Promise.resolve()
+  };
+}
+
+function createResponseError(response) {
+  const error = new Error(`Mutation failed with status ${response.status}`);
+  error.status = response.status;
+  error.response = response;
+  return error;
+}
+
+function isConflictError(error) {
+  return !!error && (error.status === 409 || error.name === 'ConflictError');
+}
+
+// Client errors other than timeouts and rate limits won't succeed on replay
+function isRejectedError(error) {
+  const status = error && error.status;
+  return typeof status === 'number' && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function safeCall(callback, ...args) {
+  if (typeof callback !== 'function') return undefined;
+  try {
+    return callback(...args);
+  } catch (error) {
+    console.warn('Error in Integrity offline mutation callback:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Create a persistent mutation queue (JavaScript-safe)
+ * Options:
+ * - name: IndexedDB database name (default 'integrity-offline')
+ * - indexedDB: IDBFactory to use (default: the global one; memory only when there is none)
+ * - maxAttempts: attempts before a failing mutation is dropped (default 5)
+ * - retryDelay: ms before replaying after a failed send, doubling per attempt (default 1000)
+ * - isConflict(error): which errors are conflicts (default: status 409 or a ConflictError)
+ * - onSuccess(result, variables, mutation) / onFailure(error, variables, mutation): every type
+ * - onConflict(error, variables, mutation): for types without their own resolver
+ */
+export function createMutationQueue(options = {}) {
+  const factory = options.indexedDB !== undefined ? options.indexedDB : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+  const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelay = typeof options.retryDelay === 'number' ? options.retryDelay : DEFAULT_RETRY_DELAY;
+  const isConflict = typeof options.isConflict === 'function' ? options.isConflict : isConflictError;
+
+  const handlers = new Map();
+  const listeners = new Set();
+  // Outcomes of mutations whose enqueue() is still waiting on the first flush
+  const waiting = new Map();
+  // Mutations IndexedDB refused to store; they live in memory only, while everything else
+  // (including what an earlier visit left) is still updated and removed in IndexedDB
+  const unsaved = new WeakSet();
+  let unsavedCount = 0;
+  let storage = null;
+  let mutations = [];
+  let status = { ...EMPTY_QUEUE_STATUS, online: readOnline() };
+  let flushing = null;
+  let flushRequested = false;
+  let drained = false;
+  let retryTimer = null;
+
+  const setStatus = (patch) => {
+    const types = {};
+    mutations.forEach(mutation => {
+      types[mutation.type] = (types[mutation.type] || 0) + 1;
+    });
+    status = { ...status, ...patch, pending: mutations.length, types };
+    listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        console.warn('Error in Integrity offline queue listener:', error);
+      }
+    });
+  };
+
+  try {
+    storage = factory ? createIndexedDBStorage(factory, options.name || DEFAULT_DB_NAME) : createMemoryStorage();
+  } catch (error) {
+    console.warn('Error opening offline mutation queue; queuing in memory:', error);
+    storage = createMemoryStorage();
+  }
+
+  const ready = storage.load()
+    .catch(error => {
+      console.warn('Error opening offline mutation queue; queuing in memory:', error);
+      storage = createMemoryStorage();
+      return [];
+    })
+    .then(stored => {
+      mutations = stored.slice().sort((a, b) => a.id - b.id);
+      setStatus({ ready: true });
+    });
+
+  const removeMutation = async (mutation) => {
+    mutations = mutations.filter(item => item.id !== mutation.id);
+    if (unsaved.has(mutation)) return;
+    try {
+      await storage.remove(mutation.id);
+    } catch (error) {
+      console.warn('Error removing offline mutation:', error);
+    }
+  };
+
+  const updateMutation = (mutation) => {
+    if (unsaved.has(mutation)) return Promise.resolve();
+    return storage.put(mutation).catch(error => console.warn('Error updating offline mutation:', error));
+  };
+
+  const settle = (mutation, outcome) => {
+    if (waiting.has(mutation.id)) waiting.set(mutation.id, outcome);
+  };
+
+  const scheduleRetry = (attempts) => {
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      queue.flush();
+    }, retryDelay * Math.pow(2, attempts - 1));
+  };
+
+  const fail = async (mutation, handler, error) => {
+    await removeMutation(mutation);
+    setStatus({ failed: status.failed + 1, lastError: error });
+    safeCall(handler.onFailure, error, mutation.variables, mutation);
+    safeCall(options.onFailure, error, mutation.variables, mutation);
+    settle(mutation, { id: mutation.id, status: 'failed', error });
+  };
+
+  // Returns false when replay has to stop here to keep later mutations in order
+  const replay = async (mutation, handler) => {
+    try {
+      let result = await handler.mutationFn(mutation.variables, {
+        id: mutation.id,
+        attempt: mutation.attempts + 1,
+        createdAt: mutation.createdAt
+      });
+      // A fetch Response that isn't ok counts as a failure with its status
+      if (result && typeof result.ok === 'boolean' && !result.ok && typeof result.status === 'number') {
+        throw createResponseError(result);
+      }
+
+      await removeMutation(mutation);
+      setStatus({ lastError: null, lastSyncedAt: Date.now() });
+      safeCall(handler.onSuccess, result, mutation.variables, mutation);
+      safeCall(options.onSuccess, result, mutation.variables, mutation);
+      settle(mutation, { id: mutation.id, status: 'sent', result });
+      return true;
+    } catch (error) {
+      // Only a browser that knows it is offline will fire `online`; anything else (a TypeError from
+      // an unreachable server, CORS or a bug) retries with backoff and counts toward maxAttempts
+      if (!readOnline()) {
+        setStatus({ online: false, lastError: error });
+        return false;
+      }
+
+      mutation.attempts += 1;
+      mutation.lastError = String(error);
+
+      if (isConflict(error)) {
+        const resolve = handler.onConflict || options.onConflict;
+        if (typeof resolve !== 'function') {
+          await fail(mutation, handler, error);
+          return true;
+        }
+
+        let resolved;
+        try {
+          resolved = await resolve(error, mutation.variables, mutation);
+        } catch (resolveError) {
+          console.warn('Error in Integrity offline conflict resolver:', resolveError);
+        }
+
+        // The resolver returns the variables to send instead, or nothing to drop the mutation
+        if (resolved !== undefined && mutation.attempts < maxAttempts) {
+          mutation.variables = resolved;
+          await updateMutation(mutation);
+          return true;
+        }
+        await removeMutation(mutation);
+        setStatus({ lastError: error });
+        settle(mutation, { id: mutation.id, status: 'conflict', error });
+        return true;
+      }
+
+      if (isRejectedError(error) || mutation.attempts >= maxAttempts) {
+        await fail(mutation, handler, error);
+        return true;
+      }
+
+      await updateMutation(mutation);
+      setStatus({ lastError: error });
+      scheduleRetry(mutation.attempts);
+      return false;
+    }
+  };
+
+  const processQueue = async () => {
+    await ready;
+    drained = false;
+    while (mutations.length > 0 && status.online) {
+      const mutation = mutations[0];
+      const handler = handlers.get(mutation.type);
+      // Nothing can send this type yet; later mutations wait behind it until one registers
+      if (!handler) break;
+
+      setStatus({ processing: true });
+      const proceed = await replay(mutation, handler);
+      if (!proceed) break;
+    }
+    drained = mutations.length === 0;
+    setStatus({ processing: false });
+  };
+
+  const handleOnline = () => {
+    setStatus({ online: true });
+    queue.flush();
+  };
+  const handleOffline = () => setStatus({ online: false });
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+  }
+
+  const queue = {
+    ready,
+
+    /**
+     * Register the function that sends mutations of `type`; returns an unregister function
+     * `handler` is `mutationFn(variables, { id, attempt, createdAt })`, or
+     * `{ mutationFn, onSuccess, onFailure, onConflict }`.
+     */
+    register(type, handler) {
+      const entry = typeof handler === 'function' ? { mutationFn: handler } : { ...handler };
+      if (typeof entry.mutationFn !== 'function') {
+        console.warn(`[Integrity.js] Offline mutation "${type}" needs a mutationFn`);
+        return () => {};
+      }
+
+      handlers.set(type, entry);
+      // Mutations stored by an earlier visit may have been waiting for this type
+      queue.flush();
+      return () => {
+        if (handlers.get(type) === entry) handlers.delete(type);
+      };
+    },
+
+    /**
+     * Store a mutation, then try to send it (JavaScript-safe)
+     * Resolves to `{ id, status }`: 'sent' (with `result`), 'queued' while offline or
+     * waiting to retry, or 'failed' / 'conflict' (with `error`).
+     */
+    async enqueue(type, variables) {
+      await ready;
+      const mutation = { type, variables, createdAt: Date.now(), attempts: 0, lastError: null };
+
+      try {
+        mutation.id = await storage.add(mutation);
+      } catch (error) {
+        // Only this mutation falls back to memory; a string id can't collide with IndexedDB's keys
+        console.warn('Error persisting offline mutation; queuing it in memory:', error);
+        unsavedCount += 1;
+        mutation.id = `memory-${unsavedCount}`;
+        unsaved.add(mutation);
+      }
+      mutations.push(mutation);
+      setStatus({});
+
+      waiting.set(mutation.id, null);
+      await queue.flush();
+      const outcome = waiting.get(mutation.id);
+      waiting.delete(mutation.id);
+      return outcome || { id: mutation.id, status: 'queued' };
+    },
+
+    /**
+     * Replay pending mutations in order now; concurrent calls share one pass
+     */
+    flush() {
+      if (flushing) {
+        flushRequested = true;
+        return flushing;
+      }
+
+      flushRequested = false;
+      flushing = processQueue()
+        .catch(error => console.warn('Error replaying offline mutations:', error))
+        .then(() => {
+          flushing = null;
+          // Something was stored after the pass found the queue empty
+          if (flushRequested && drained && mutations.length > 0) return queue.flush();
+          return undefined;
+        });
+      return flushing;
+    },
+
+    /**
+     * Drop a pending mutation without sending it
+     */
+    async discard(id) {
+      await ready;
+      const mutation = mutations.find(item => item.id === id);
+      if (!mutation || (status.processing && mutations[0] === mutation)) return false;
+      await removeMutation(mutation);
+      setStatus({});
+      return true;
+    },
+
+    /**
+     * Pending mutations, oldest first
+     */
+    getPending() {
+      return mutations.map(mutation => ({ ...mutation }));
+    },
+
+    /**
+     * `{ ready, online, pending, processing, failed, lastError, lastSyncedAt, types }`;
+     * `types` counts pending mutations per type
+     */
+    getStatus() {
+      return status;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    /**
+     * Stop listening for connectivity and close the database
+     */
+    destroy() {
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+      }
+      if (retryTimer) clearTimeout(retryTimer);
+      retryTimer = null;
+      listeners.clear();
+      return storage.close();
+    }
+  };
+
+  // Replay whatever an earlier visit left behind
+  ready.then(() => queue.flush());
+
+  return queue;
+}
+
+/**
+ * The page's mutation queue, created on first use from the `offlineQueue` option; null on the server
+ */
+export function getMutationQueue() {
+  if (typeof window === 'undefined') return null;
+  if (!defaultQueue) {
+    defaultQueue = createMutationQueue(getConfig().offlineQueue || {});
+  }
+  return defaultQueue;
+}
+
+/**
+ * Status of the page's mutation queue, for badges outside React (JavaScript-safe)
+ */
+export function getOfflineQueueStatus() {
+  const queue = getMutationQueue();
+  return queue ? queue.getStatus() : EMPTY_QUEUE_STATUS;
+}
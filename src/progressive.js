@@ -0,0 +1,234 @@
+/**
+ * Integrity.js Progressive Images
+ * Image loading for useSmartImage: placeholders (low-quality URL or blurhash),
+ * decode before swap, retries with exponential backoff and AbortSignal cancellation
+ */
+
+import { resolveImageLoader, buildImageUrl } from './images';
+
+// Width of the automatic low-quality placeholder requested through the imageLoader
+const PLACEHOLDER_WIDTH = 32;
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function decode83(value) {
+  let result = 0;
+  for (let i = 0; i < value.length; i++) {
+    const digit = BASE83.indexOf(value[i]);
+    if (digit === -1) throw new Error(`Invalid blurhash character "${value[i]}"`);
+    result = result * 83 + digit;
+  }
+  return result;
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308 ? Math.round(v * 12.92 * 255) : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * Decode a blurhash into RGBA pixels (JavaScript-safe)
+ */
+export function decodeBlurhash(hash, width = 32, height = 32, punch = 1) {
+  if (typeof hash !== 'string' || hash.length < 6) {
+    throw new Error('Invalid blurhash');
+  }
+
+  const sizeFlag = decode83(hash[0]);
+  const componentsY = Math.floor(sizeFlag / 9) + 1;
+  const componentsX = (sizeFlag % 9) + 1;
+  if (hash.length !== 4 + 2 * componentsX * componentsY) {
+    throw new Error(`Invalid blurhash length ${hash.length}`);
+  }
+
+  const maxValue = (decode83(hash[1]) + 1) / 166;
+  const colors = [];
+  for (let i = 0; i < componentsX * componentsY; i++) {
+    if (i === 0) {
+      const value = decode83(hash.substring(2, 6));
+      colors.push([srgbToLinear(value >> 16), srgbToLinear((value >> 8) & 255), srgbToLinear(value & 255)]);
+    } else {
+      const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+      colors.push([
+        signPow((Math.floor(value / 361) - 9) / 9, 2) * maxValue * punch,
+        signPow((Math.floor(value / 19) % 19 - 9) / 9, 2) * maxValue * punch,
+        signPow((value % 19 - 9) / 9, 2) * maxValue * punch
+      ]);
+    }
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let j = 0; j < componentsY; j++) {
+        for (let i = 0; i < componentsX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * componentsX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSrgb(r);
+      pixels[offset + 1] = linearToSrgb(g);
+      pixels[offset + 2] = linearToSrgb(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Render a blurhash to a PNG data URL; null where canvas isn't available
+ */
+export function blurhashToDataURL(hash, width = 32, height = 32) {
+  try {
+    if (typeof document === 'undefined') return null;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+
+    canvas.width = width;
+    canvas.height = height;
+    const image = context.createImageData(width, height);
+    image.data.set(decodeBlurhash(hash, width, height));
+    context.putImageData(image, 0, 0);
+    return canvas.toDataURL();
+  } catch (error) {
+    console.warn('Error decoding blurhash placeholder:', error);
+    return null;
+  }
+}
+
+/**
+ * Placeholder to show while an image loads
+ * `placeholder` is a URL, or 'auto' for a tiny low-quality version through the imageLoader;
+ * `blurhash` is decoded when no placeholder URL applies.
+ */
+export function getImagePlaceholder(src, options = {}) {
+  if (options.placeholder === 'auto') {
+    if (resolveImageLoader()) {
+      return buildImageUrl(src, { quality: 'low', width: PLACEHOLDER_WIDTH, dpr: 1 });
+    }
+  } else if (typeof options.placeholder === 'string') {
+    return options.placeholder;
+  }
+  return options.blurhash ? blurhashToDataURL(options.blurhash) : null;
+}
+
+function createAbortError() {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException('Image load aborted', 'AbortError');
+  }
+  const error = new Error('Image load aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Resolves after `ms`, or rejects as soon as the signal aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function loadOnce(sources, options) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const { signal } = options;
+
+    // Dropping the src cancels the request in browsers
+    const onAbort = () => {
+      img.onload = null;
+      img.onerror = null;
+      img.removeAttribute('srcset');
+      img.src = '';
+      reject(createAbortError());
+    };
+
+    img.onload = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(img);
+    };
+    img.onerror = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(new Error(`Failed to load image ${sources.src}`));
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (options.fetchPriority && options.fetchPriority !== 'auto') {
+      img.fetchPriority = options.fetchPriority;
+      img.setAttribute('fetchpriority', options.fetchPriority);
+    }
+    img.decoding = 'async';
+    if (sources.srcSet) {
+      img.sizes = sources.sizes || '';
+      img.srcset = sources.srcSet;
+    }
+    img.src = sources.src;
+  });
+}
+
+/**
+ * Load, decode and return an image element, retrying failures (JavaScript-safe)
+ * Options:
+ * - retries: extra attempts after the first failure (default 2)
+ * - retryDelay: ms before the first retry, doubling each time (default 500)
+ * - fetchPriority: 'high' | 'low' | 'auto'
+ * - signal: AbortSignal; aborting cancels the download and rejects with an AbortError
+ * - onRetry(attempt, error): called before each retry
+ * Rejects with the last error, carrying `attempts`.
+ */
+export async function loadImage(sources, options = {}) {
+  const { signal } = options;
+  const retries = Math.max(0, options.retries === undefined ? 2 : options.retries);
+  const retryDelay = options.retryDelay === undefined ? 500 : options.retryDelay;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal && signal.aborted) throw createAbortError();
+
+    try {
+      const img = await loadOnce(sources, options);
+
+      // Decode off the main thread before the swap so the first paint doesn't jank
+      if (typeof img.decode === 'function') {
+        try {
+          await img.decode();
+        } catch (error) {
+          // Decoding can be refused (e.g. very large images); the loaded image still renders
+        }
+      }
+      if (signal && signal.aborted) throw createAbortError();
+      return img;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      if (attempt >= retries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      if (typeof options.onRetry === 'function') options.onRetry(attempt + 1, error);
+      await wait(retryDelay * Math.pow(2, attempt), signal);
+    }
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Integrity.js Server Entry
+ * `integrity.js/server` - per-request device snapshots for server rendering
+ *
+ *   const snapshot = createDeviceSnapshot(req.headers);
+ *   const html = runWithDeviceSnapshot(snapshot, () => renderToString(<App />));
+ *   res.send(serializeDeviceSnapshot(snapshot) + html);
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import {
+  CLIENT_HINTS,
+  createDeviceSnapshot,
+  serializeDeviceSnapshot,
+  setSnapshotResolver
+} from './snapshot';
+
+const requestSnapshots = new AsyncLocalStorage();
+
+// Concurrent requests each see their own snapshot, including across streamed (async) renders
+setSnapshotResolver(() => requestSnapshots.getStore() || null);
+
+/**
+ * Render with a device snapshot in effect (JavaScript-safe)
+ * Attribute defaults, image quality and hooks rendered inside `render` use the snapshot.
+ */
+export function runWithDeviceSnapshot(snapshot, render) {
+  return requestSnapshots.run(snapshot, render);
+}
+
+/**
+ * Response headers that ask the browser for Client Hints on later requests
+ */
+export function getClientHintsHeaders() {
+  const hints = CLIENT_HINTS.join(', ');
+  return {
+    'Accept-CH': hints,
+    'Vary': hints
+  };
+}
+
+export { CLIENT_HINTS, createDeviceSnapshot, serializeDeviceSnapshot };
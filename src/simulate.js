@@ -0,0 +1,166 @@
+/**
+ * Integrity.js Device Simulation
+ * Named device profiles that override the signals Integrity reads, so QA can
+ * reproduce tier-specific behaviour on any machine
+ *
+ * Activate with `configureIntegrity({ simulate: 'low-end-android' })`, the
+ * `?integrity-simulate=low-end-android` query parameter or
+ * `localStorage.setItem('integrity-simulate', 'low-end-android')`.
+ */
+
+export const SIMULATE_PARAM = 'integrity-simulate';
+export const SIMULATE_STORAGE_KEY = 'integrity-simulate';
+
+/**
+ * Built-in profiles. Every signal is optional; omitted ones keep their real values.
+ */
+export const SIMULATION_PROFILES = {
+  'low-end-android': {
+    device: { isMobile: true, isLowEnd: true, pixelRatio: 1.5, memoryGB: 1, connectionType: '2g' },
+    network: { effectiveType: '2g', downlink: 0.25, rtt: 1800, saveData: false, online: true },
+    battery: { level: 0.6, charging: false, chargingTime: Infinity, dischargingTime: 14400, supported: true },
+    performance: { fps: 24 },
+    memory: { used: 180, heapLimit: 256 }
+  },
+  'mid-range-iphone': {
+    device: { isMobile: true, isLowEnd: false, pixelRatio: 3, memoryGB: 4, connectionType: '4g' },
+    network: { effectiveType: '4g', downlink: 10, rtt: 100, saveData: false, online: true },
+    battery: { level: 0.8, charging: false, chargingTime: Infinity, dischargingTime: 28800, supported: true },
+    performance: { fps: 60 },
+    memory: { used: 90, heapLimit: 1024 }
+  },
+  'desktop': {
+    device: { isMobile: false, isLowEnd: false, pixelRatio: 1, memoryGB: 8, connectionType: '4g' },
+    network: { effectiveType: '4g', downlink: 50, rtt: 30, saveData: false, online: true },
+    battery: { level: 1, charging: true, chargingTime: 0, dischargingTime: Infinity, supported: true },
+    performance: { fps: 60 },
+    memory: { used: 120, heapLimit: 4096 }
+  },
+  'dying-battery': {
+    extends: 'mid-range-iphone',
+    battery: { level: 0.05, charging: false, chargingTime: Infinity, dischargingTime: 600, supported: true }
+  }
+};
+
+const SIGNALS = ['device', 'network', 'battery', 'performance', 'memory'];
+
+const customProfiles = {};
+const listeners = new Set();
+let activeProfile;
+let activeKey;
+
+/**
+ * Register a named profile usable from config, the query parameter or localStorage
+ * `extends` names a profile to start from.
+ */
+export function registerSimulationProfile(name, profile) {
+  if (typeof name !== 'string' || !name || !profile || typeof profile !== 'object') {
+    console.warn('[Integrity.js] registerSimulationProfile requires a name and a profile object');
+    return;
+  }
+
+  customProfiles[name] = profile;
+
+  // Redefining the active profile has to re-resolve it
+  if (activeKey === name) activeKey = undefined;
+  refreshSimulation();
+}
+
+function getProfileDefinition(name) {
+  return customProfiles[name] || SIMULATION_PROFILES[name] || null;
+}
+
+// Flatten `extends` chains into one profile with a plain object per signal
+function resolveProfile(profile, seen = []) {
+  if (typeof profile === 'string') {
+    const definition = getProfileDefinition(profile);
+    if (!definition || seen.includes(profile)) {
+      console.warn(`[Integrity.js] Unknown simulation profile "${profile}". Expected one of: ${Object.keys({ ...SIMULATION_PROFILES, ...customProfiles }).join(', ')}`);
+      return null;
+    }
+    return resolveProfile(definition, seen.concat(profile));
+  }
+
+  if (!profile || typeof profile !== 'object') return null;
+
+  const base = profile.extends ? resolveProfile(profile.extends, seen) || {} : {};
+  const resolved = {};
+  SIGNALS.forEach(signal => {
+    if (base[signal] || profile[signal]) {
+      resolved[signal] = { ...base[signal], ...profile[signal] };
+    }
+  });
+  return resolved;
+}
+
+function readQueryParameter() {
+  try {
+    if (typeof window === 'undefined' || !window.location || typeof URLSearchParams === 'undefined') return null;
+    return new URLSearchParams(window.location.search).get(SIMULATE_PARAM);
+  } catch (error) {
+    return null;
+  }
+}
+
+function readStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage.getItem(SIMULATE_STORAGE_KEY) : null;
+  } catch (error) {
+    // Storage access throws in some privacy modes
+    return null;
+  }
+}
+
+// Query parameter beats localStorage beats config, so QA can override any build
+function readRequestedProfile() {
+  const fromQuery = readQueryParameter();
+  if (fromQuery) return fromQuery;
+
+  const fromStorage = readStorage();
+  if (fromStorage) return fromStorage;
+
+  const config = typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+  return config.simulate || null;
+}
+
+/**
+ * Re-read config, query parameter and localStorage; notifies subscribers when the profile changed
+ */
+export function refreshSimulation() {
+  const requested = readRequestedProfile();
+  const off = !requested || requested === 'off' || requested === 'none';
+  const key = off ? null : (typeof requested === 'string' ? requested : JSON.stringify(requested));
+
+  if (activeProfile !== undefined && key === activeKey) return;
+
+  activeKey = key;
+  activeProfile = off ? null : resolveProfile(requested);
+
+  if (activeProfile) {
+    console.info(`[Integrity.js] Simulating device profile ${typeof requested === 'string' ? `"${requested}"` : '(custom)'}`);
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener(activeProfile);
+    } catch (error) {
+      console.warn('Error in simulation listener:', error);
+    }
+  });
+}
+
+/**
+ * The active simulated profile, or null when Integrity reads the real device
+ */
+export function getSimulationProfile() {
+  if (activeProfile === undefined) refreshSimulation();
+  return activeProfile;
+}
+
+/**
+ * Listen for profile switches; returns an unsubscribe function
+ */
+export function subscribeSimulation(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,167 @@
+/**
+ * Integrity.js Device Snapshots
+ * A device/network description built from request headers so the server render
+ * and the client's first (hydrating) render see the same device
+ */
+
+import { getSimulationProfile } from './simulate';
+
+const MOBILE_UA = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+
+export const SNAPSHOT_GLOBAL = '__INTEGRITY_SNAPSHOT__';
+
+/**
+ * Client Hints worth requesting: send as `Accept-CH` (and `Vary`) on HTML responses
+ */
+export const CLIENT_HINTS = [
+  'Sec-CH-UA-Mobile',
+  'Sec-CH-Viewport-Width',
+  'Viewport-Width',
+  'Sec-CH-DPR',
+  'DPR',
+  'Device-Memory',
+  'ECT',
+  'RTT',
+  'Downlink',
+  'Save-Data'
+];
+
+let snapshotResolver = null;
+let hydrated = false;
+
+/**
+ * Install the function that returns the snapshot for the current render (used by integrity.js/server)
+ */
+export function setSnapshotResolver(resolver) {
+  snapshotResolver = typeof resolver === 'function' ? resolver : null;
+}
+
+function getBaseSnapshot() {
+  if (snapshotResolver) {
+    const snapshot = snapshotResolver();
+    if (snapshot) return snapshot;
+  }
+
+  return !hydrated && typeof window !== 'undefined' && window[SNAPSHOT_GLOBAL] ? window[SNAPSHOT_GLOBAL] : null;
+}
+
+/**
+ * Stop using the snapshot serialized into the page; live device values apply from here on
+ * IntegrityProvider calls this once the root has committed. Apps whose Suspense boundaries
+ * hydrate later, or that render no provider, call it once the whole tree has hydrated.
+ */
+export function completeSnapshotHydration() {
+  hydrated = true;
+}
+
+let merged = { base: null, simulated: null, snapshot: null };
+
+/**
+ * Snapshot for the current render: the server's per-request snapshot, else the one
+ * serialized into the page until hydration is done, else null. An active simulation
+ * profile overrides the signals it defines.
+ * Signals or fields missing from the snapshot mean "read the real device".
+ */
+export function getDeviceSnapshot() {
+  const base = getBaseSnapshot();
+  const simulated = getSimulationProfile();
+  if (!simulated) return base;
+
+  // Same inputs, same object: callers key caches on the snapshot
+  if (merged.base !== base || merged.simulated !== simulated) {
+    const snapshot = { ...base };
+    Object.keys(simulated).forEach(signal => {
+      snapshot[signal] = { ...(base && base[signal]), ...simulated[signal] };
+    });
+    merged = { base, simulated, snapshot };
+  }
+
+  return merged.snapshot;
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ?
+    headers.get(name) :
+    headers[name.toLowerCase()] || headers[name];
+
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'string' && value.length > 0 ? value.trim() : null;
+}
+
+function readNumber(headers, ...names) {
+  for (const name of names) {
+    const value = parseFloat(readHeader(headers, name));
+    if (isFinite(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Build a device snapshot from request headers (JavaScript-safe)
+ * Accepts a Node `req.headers` object or a Fetch `Headers` instance. Client Hints win;
+ * the User-Agent is the fallback when a browser sends none.
+ *
+ * Returns `{ device, network }` in the shape of the signal store's state, plus the
+ * `imageFormats` the Accept header advertises. Every field the server render reads is set,
+ * with the server's defaults where no header was sent (a first request carries no Client
+ * Hints yet), so the hydrating render reproduces the server HTML.
+ */
+export function createDeviceSnapshot(headers) {
+  try {
+    const mobileHint = readHeader(headers, 'Sec-CH-UA-Mobile');
+    const viewportWidth = readNumber(headers, 'Sec-CH-Viewport-Width', 'Viewport-Width');
+    const userAgent = readHeader(headers, 'User-Agent') || '';
+
+    let isMobile;
+    if (mobileHint === '?1' || mobileHint === '?0') {
+      isMobile = mobileHint === '?1';
+    } else {
+      isMobile = MOBILE_UA.test(userAgent);
+    }
+    if (viewportWidth !== null && viewportWidth < 768) isMobile = true;
+
+    const deviceMemory = readNumber(headers, 'Sec-CH-Device-Memory', 'Device-Memory');
+    const effectiveType = (readHeader(headers, 'ECT') || 'unknown').toLowerCase();
+
+    // Browsers that advertise AVIF/WebP in Accept decode them; the rest are detected on the client
+    const accept = (readHeader(headers, 'Accept') || '').toLowerCase();
+    const imageFormats = {};
+    if (accept.includes('image/avif')) imageFormats.avif = true;
+    if (accept.includes('image/webp')) imageFormats.webp = true;
+
+    return {
+      device: {
+        isMobile,
+        isLowEnd: deviceMemory !== null && deviceMemory <= 2,
+        pixelRatio: readNumber(headers, 'Sec-CH-DPR', 'DPR') || 1,
+        memoryGB: deviceMemory !== null ? deviceMemory : 4,
+        connectionType: effectiveType
+      },
+      network: {
+        effectiveType,
+        downlink: readNumber(headers, 'Downlink'),
+        rtt: readNumber(headers, 'RTT'),
+        // Browsers only send Save-Data when it is on
+        saveData: (readHeader(headers, 'Save-Data') || '').toLowerCase() === 'on',
+        online: true
+      },
+      imageFormats
+    };
+  } catch (error) {
+    console.warn('Error creating device snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Inline script that hands the snapshot to the client for hydration
+ * Place it before the application bundle.
+ */
+export function serializeDeviceSnapshot(snapshot, options = {}) {
+  // Escape "<" so the JSON cannot close the script element
+  const json = JSON.stringify(snapshot || null).replace(/</g, '\\u003c');
+  const nonce = options.nonce ? ` nonce="${String(options.nonce).replace(/"/g, '&quot;')}"` : '';
+  return `<script${nonce}>window.${SNAPSHOT_GLOBAL}=${json}</script>`;
+}
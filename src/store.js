@@ -0,0 +1,516 @@
+/**
+ * Integrity.js Shared Signal Store
+ * One external store for device, network, battery, performance and memory
+ * signals, with one sampler per signal no matter how many components read it
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useRef,
+  useCallback,
+  useEffect,
+  useSyncExternalStore
+} from 'react';
+import { getDeviceSnapshot, completeSnapshotHydration } from './snapshot';
+import { getSimulationProfile, subscribeSimulation } from './simulate';
+import { subscribeFrames, summarizeFrames, createSteadyFrameStats } from './frames';
+import { estimateIntegrityMemory } from './memory';
+
+const MOBILE_UA = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+
+export const INTEGRITY_SIGNALS = ['device', 'network', 'battery', 'performance', 'memory'];
+
+// Node 21+ has a global navigator, but it describes the server, not the visitor
+function hasBrowserNavigator() {
+  return typeof window !== 'undefined' && typeof navigator !== 'undefined';
+}
+
+function getConnection() {
+  return hasBrowserNavigator() ?
+    navigator.connection || navigator.mozConnection || navigator.webkitConnection || null :
+    null;
+}
+
+function readDevice() {
+  const hasWindow = typeof window !== 'undefined';
+  const hasNavigator = hasBrowserNavigator();
+
+  const hardwareConcurrency = hasNavigator ? navigator.hardwareConcurrency || 4 : 4;
+  const deviceMemory = hasNavigator ? navigator.deviceMemory || 4 : 4;
+  const connection = getConnection();
+
+  return {
+    isMobile: hasWindow ? window.innerWidth < 768 || MOBILE_UA.test(navigator.userAgent) : false,
+    isLowEnd: hardwareConcurrency <= 2 || deviceMemory <= 2,
+    pixelRatio: hasWindow ? window.devicePixelRatio || 1 : 1,
+    memoryGB: deviceMemory,
+    connectionType: connection ? connection.effectiveType || 'unknown' : 'unknown'
+  };
+}
+
+function readNetwork() {
+  const connection = getConnection();
+  return {
+    effectiveType: connection ? connection.effectiveType || 'unknown' : 'unknown',
+    downlink: connection && typeof connection.downlink === 'number' ? connection.downlink : null,
+    rtt: connection && typeof connection.rtt === 'number' ? connection.rtt : null,
+    saveData: !!(connection && connection.saveData),
+    online: hasBrowserNavigator() && typeof navigator.onLine === 'boolean' ? navigator.onLine : true
+  };
+}
+
+/**
+ * Default state used on the server and before any sampler has run
+ */
+export function createInitialState() {
+  return {
+    device: readDevice(),
+    network: readNetwork(),
+    battery: {
+      level: 1,
+      charging: false,
+      chargingTime: Infinity,
+      dischargingTime: Infinity,
+      supported: false
+    },
+    performance: {
+      fps: 60,
+      renderTime: 16.67,
+      isPerformant: true,
+      frameDrops: 0,
+      droppedRatio: 0,
+      p50: 16.67,
+      p95: 16.67,
+      p99: 16.67,
+      histogram: summarizeFrames([]).histogram,
+      sampleId: 0
+    },
+    memory: {
+      used: 0,
+      heapLimit: null,
+      source: null
+    }
+  };
+}
+
+/**
+ * Performance signal fields for a frame sampler report (see frames.js)
+ * `frameDrops` counts dropped frames in the sampler's sliding window.
+ */
+export function createPerformanceSample(frameStats) {
+  return {
+    fps: frameStats.fps,
+    renderTime: frameStats.p50,
+    isPerformant: frameStats.fps >= 30,
+    frameDrops: frameStats.droppedFrames,
+    droppedRatio: frameStats.droppedRatio,
+    p50: frameStats.p50,
+    p95: frameStats.p95,
+    p99: frameStats.p99,
+    histogram: frameStats.histogram
+  };
+}
+
+// =============================================================================
+// SAMPLERS - each receives the store's `update(signal, patch)` and returns a stop function
+// =============================================================================
+
+// Values from the active simulation profile replace real readings signal by signal
+function getSimulated(signal) {
+  const profile = getSimulationProfile();
+  return profile && profile[signal] ? profile[signal] : null;
+}
+
+function withSimulation(signal, value) {
+  const simulated = getSimulated(signal);
+  return simulated ? { ...value, ...simulated } : value;
+}
+
+const samplers = {
+  device(update) {
+    if (typeof window === 'undefined') return () => {};
+
+    const handleChange = () => update('device', withSimulation('device', readDevice()));
+    const connection = getConnection();
+
+    window.addEventListener('resize', handleChange);
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', handleChange);
+    }
+    handleChange();
+
+    return () => {
+      window.removeEventListener('resize', handleChange);
+      if (connection && connection.removeEventListener) {
+        connection.removeEventListener('change', handleChange);
+      }
+    };
+  },
+
+  network(update) {
+    if (typeof window === 'undefined') return () => {};
+
+    const handleChange = () => update('network', withSimulation('network', readNetwork()));
+    const connection = getConnection();
+
+    window.addEventListener('online', handleChange);
+    window.addEventListener('offline', handleChange);
+    if (connection && connection.addEventListener) {
+      connection.addEventListener('change', handleChange);
+    }
+    handleChange();
+
+    return () => {
+      window.removeEventListener('online', handleChange);
+      window.removeEventListener('offline', handleChange);
+      if (connection && connection.removeEventListener) {
+        connection.removeEventListener('change', handleChange);
+      }
+    };
+  },
+
+  battery(update) {
+    const simulated = getSimulated('battery');
+    if (simulated) {
+      update('battery', { supported: true, ...simulated });
+      return () => {};
+    }
+
+    if (typeof navigator === 'undefined' || !('getBattery' in navigator)) return () => {};
+
+    let stopped = false;
+    let detach = () => {};
+
+    navigator.getBattery().then((battery) => {
+      if (stopped) return;
+
+      const handleChange = () => update('battery', {
+        level: battery.level,
+        charging: battery.charging,
+        chargingTime: battery.chargingTime,
+        dischargingTime: battery.dischargingTime,
+        supported: true
+      });
+
+      handleChange();
+      battery.addEventListener('chargingchange', handleChange);
+      battery.addEventListener('levelchange', handleChange);
+
+      detach = () => {
+        battery.removeEventListener('chargingchange', handleChange);
+        battery.removeEventListener('levelchange', handleChange);
+      };
+    }).catch((error) => {
+      console.warn('Battery API not available:', error);
+    });
+
+    return () => {
+      stopped = true;
+      detach();
+    };
+  },
+
+  performance(update, getState) {
+    const report = (frameStats) => {
+      update('performance', {
+        ...createPerformanceSample(frameStats),
+        sampleId: getState().performance.sampleId + 1
+      });
+    };
+
+    // Simulated frame rates report once a second, like the real sampler
+    const simulated = getSimulated('performance');
+    if (simulated && typeof simulated.fps === 'number') {
+      const frameStats = createSteadyFrameStats(simulated.fps);
+      report(frameStats);
+      const interval = setInterval(() => report(frameStats), 1000);
+      return () => clearInterval(interval);
+    }
+
+    return subscribeFrames(report);
+  },
+
+  memory(update) {
+    const simulated = getSimulated('memory');
+    if (simulated) {
+      update('memory', { source: 'simulated', ...simulated });
+      return () => {};
+    }
+
+    if (typeof window === 'undefined') return () => {};
+
+    const toMB = bytes => Math.round((bytes / 1024 / 1024) * 10) / 10;
+    let timer = null;
+    let stopped = false;
+
+    const estimate = () => {
+      try {
+        update('memory', { used: toMB(estimateIntegrityMemory()), heapLimit: null, source: 'estimated' });
+      } catch (error) {
+        console.warn('Memory monitoring error:', error);
+      }
+    };
+
+    // Chromium: the JS heap, cheap enough to poll every 2s
+    if (typeof performance !== 'undefined' && performance.memory && performance.memory.usedJSHeapSize > 0) {
+      const readHeap = () => update('memory', {
+        used: toMB(performance.memory.usedJSHeapSize),
+        heapLimit: toMB(performance.memory.jsHeapSizeLimit),
+        source: 'heap'
+      });
+      readHeap();
+      timer = setInterval(readHeap, 2000);
+      return () => clearInterval(timer);
+    }
+
+    // Cross-origin isolated pages can measure the whole page; results can take seconds, so measure one at a time
+    if (window.crossOriginIsolated && typeof performance !== 'undefined' &&
+        typeof performance.measureUserAgentSpecificMemory === 'function') {
+      const measure = () => {
+        performance.measureUserAgentSpecificMemory().then((result) => {
+          if (stopped) return;
+          update('memory', { used: toMB(result.bytes), heapLimit: null, source: 'uasm' });
+          timer = setTimeout(measure, 10000);
+        }).catch((error) => {
+          if (stopped) return;
+          console.warn('measureUserAgentSpecificMemory failed, estimating instead:', error);
+          estimate();
+          timer = setInterval(estimate, 2000);
+        });
+      };
+      measure();
+      return () => {
+        stopped = true;
+        clearTimeout(timer);
+        clearInterval(timer);
+      };
+    }
+
+    // Everywhere else: a deterministic estimate, flagged as such
+    estimate();
+    timer = setInterval(estimate, 2000);
+    return () => clearInterval(timer);
+  }
+};
+
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Create a signal store (JavaScript-safe)
+ * Samplers start with a signal's first subscriber and stop with its last; a destroyed store
+ * starts them again for its next subscriber.
+ * Without `initialState`, the active device snapshot (see integrity.js/server) seeds the store.
+ */
+export function createIntegrityStore(options = {}) {
+  const seed = options.initialState || getDeviceSnapshot();
+  const serverState = seed ?
+    mergeState(createInitialState(), seed) :
+    createInitialState();
+
+  let state = serverState;
+  const listeners = {};
+  const running = {};
+
+  INTEGRITY_SIGNALS.forEach(signal => {
+    listeners[signal] = new Set();
+  });
+
+  let unsubscribeSimulation = null;
+
+  const getState = () => state;
+
+  const update = (signal, patch) => {
+    const current = state[signal];
+    const next = { ...current, ...patch };
+    if (shallowEqual(current, next)) return;
+
+    state = { ...state, [signal]: next };
+    listeners[signal].forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn('Error in Integrity store listener:', error);
+      }
+    });
+  };
+
+  const runSampler = (signal) => {
+    try {
+      running[signal] = samplers[signal](update, getState, options) || (() => {});
+    } catch (error) {
+      console.warn(`Error starting ${signal} sampler:`, error);
+      running[signal] = () => {};
+    }
+  };
+
+  // Switching simulation profiles restarts running samplers so they pick up (or drop) simulated values
+  const onSimulationChange = () => {
+    const defaults = createInitialState();
+    Object.keys(running).forEach(signal => {
+      running[signal]();
+      // Drop stale simulated values; performance keeps its counters
+      if (signal !== 'performance') update(signal, defaults[signal]);
+      runSampler(signal);
+    });
+  };
+
+  // The simulation subscription lives only while a sampler runs, so creating a store has no side effects
+  const startSampler = (signal) => {
+    if (running[signal] || options.samplers === false) return;
+    runSampler(signal);
+    if (!unsubscribeSimulation) unsubscribeSimulation = subscribeSimulation(onSimulationChange);
+  };
+
+  const stopSampler = (signal) => {
+    if (!running[signal]) return;
+    running[signal]();
+    delete running[signal];
+    if (unsubscribeSimulation && Object.keys(running).length === 0) {
+      unsubscribeSimulation();
+      unsubscribeSimulation = null;
+    }
+  };
+
+  return {
+    getState,
+    getServerState: () => serverState,
+
+    subscribe(signal, listener) {
+      if (!listeners[signal]) {
+        console.warn(`[Integrity.js] Unknown signal "${signal}". Expected one of: ${INTEGRITY_SIGNALS.join(', ')}`);
+        return () => {};
+      }
+
+      listeners[signal].add(listener);
+      startSampler(signal);
+
+      return () => {
+        listeners[signal].delete(listener);
+        if (listeners[signal].size === 0) stopSampler(signal);
+      };
+    },
+
+    setState(signal, patch) {
+      if (!listeners[signal]) return;
+      update(signal, patch);
+    },
+
+    destroy() {
+      Object.keys(running).forEach(stopSampler);
+      INTEGRITY_SIGNALS.forEach(signal => listeners[signal].clear());
+    }
+  };
+}
+
+function mergeState(base, overrides) {
+  const merged = { ...base };
+  Object.keys(overrides || {}).forEach(signal => {
+    if (merged[signal]) merged[signal] = { ...merged[signal], ...overrides[signal] };
+  });
+  return merged;
+}
+
+let defaultStore = null;
+const serverStores = new WeakMap();
+let serverFallbackStore = null;
+
+/**
+ * The store used by hooks rendered outside an IntegrityProvider
+ * On the server one store per request snapshot, so concurrent requests never share state.
+ */
+export function getDefaultIntegrityStore() {
+  if (typeof window === 'undefined') {
+    const snapshot = getDeviceSnapshot();
+    if (!snapshot) {
+      if (!serverFallbackStore) serverFallbackStore = createIntegrityStore({ samplers: false });
+      return serverFallbackStore;
+    }
+    if (!serverStores.has(snapshot)) {
+      serverStores.set(snapshot, createIntegrityStore({ initialState: snapshot, samplers: false }));
+    }
+    return serverStores.get(snapshot);
+  }
+
+  if (!defaultStore) {
+    defaultStore = createIntegrityStore();
+  }
+  return defaultStore;
+}
+
+const IntegrityStoreContext = createContext(null);
+
+/**
+ * Provide a shared store to every Integrity hook below it
+ * `snapshot` comes from createDeviceSnapshot on the server; on the client the
+ * serialized snapshot is picked up automatically. Once the provider commits, live device
+ * values replace the snapshot; pass `completeHydration={false}` when Suspense boundaries
+ * hydrate later, and call completeSnapshotHydration() once they all have.
+ */
+export function IntegrityProvider({ store, initialState, snapshot, completeHydration = true, children }) {
+  // Created on first need; creating a store starts nothing, so a discarded render leaks nothing
+  const ownStoreRef = useRef(null);
+  if (!store && !ownStoreRef.current) {
+    ownStoreRef.current = createIntegrityStore({ initialState: initialState || snapshot });
+  }
+
+  useEffect(() => {
+    if (completeHydration) completeSnapshotHydration();
+  }, [completeHydration]);
+
+  useEffect(() => {
+    // Stop the samplers of the store this provider created; a StrictMode remount starts them again
+    return () => {
+      if (ownStoreRef.current) ownStoreRef.current.destroy();
+    };
+  }, []);
+
+  return React.createElement(IntegrityStoreContext.Provider, { value: store || ownStoreRef.current }, children);
+}
+
+/**
+ * Store for the calling component: the nearest provider's, else the default one
+ */
+export function useIntegrityStoreInstance() {
+  return useContext(IntegrityStoreContext) || getDefaultIntegrityStore();
+}
+
+const identity = value => value;
+
+/**
+ * Subscribe to one signal and re-render only when the selected value changes
+ */
+export function useIntegrityStore(signal, selector = identity, isEqual = shallowEqual) {
+  const store = useIntegrityStoreInstance();
+  const selectionRef = useRef(null);
+
+  const subscribe = useCallback(listener => store.subscribe(signal, listener), [store, signal]);
+
+  // Reuse the previous selection while it is equal so useSyncExternalStore bails out
+  const select = (slice) => {
+    const cached = selectionRef.current;
+    if (cached && cached.slice === slice && cached.selector === selector) return cached.value;
+
+    const value = selector(slice);
+    if (cached && isEqual(cached.value, value)) {
+      selectionRef.current = { slice, selector, value: cached.value };
+      return cached.value;
+    }
+
+    selectionRef.current = { slice, selector, value };
+    return value;
+  };
+
+  return useSyncExternalStore(
+    subscribe,
+    () => select(store.getState()[signal]),
+    () => select(store.getServerState()[signal])
+  );
+}
@@ -0,0 +1,264 @@
+/**
+ * Integrity.js Telemetry
+ * Real-user monitoring: aggregates FPS, memory, tier changes, cleanups and image
+ * failures per session and ships them in batches to a configurable endpoint
+ *
+ *   configureIntegrity({ telemetry: { endpoint: '/rum/integrity', sampleRate: 0.1 } })
+ */
+
+import { getDefaultIntegrityStore } from './store';
+import { getAdaptiveFeatures } from './hooks';
+import { getSimulationProfile } from './simulate';
+
+const SESSION_STORAGE_KEY = 'integrity-telemetry-session';
+
+const DEFAULT_OPTIONS = {
+  endpoint: null,
+  sampleRate: 1,
+  maxBatchSize: 50,
+  transport: 'beacon',
+  send: null,
+  store: null
+};
+
+let active = null;
+
+function createSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function readStoredSession() {
+  try {
+    const stored = window.sessionStorage && window.sessionStorage.getItem(SESSION_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The tab's session, sampled in or out once so a session is never half reported
+ */
+function resolveSession(sampleRate) {
+  const stored = readStoredSession();
+  if (stored && stored.sampleRate === sampleRate) return stored;
+
+  const session = {
+    id: createSessionId(),
+    startedAt: Date.now(),
+    sampleRate,
+    sampled: Math.random() < sampleRate
+  };
+
+  try {
+    if (window.sessionStorage) {
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
+  } catch (error) {
+    // Storage access throws in some privacy modes; the session just ends with the page
+  }
+  return session;
+}
+
+function createAggregate() {
+  return { samples: 0, sum: 0, min: Infinity, max: -Infinity, last: null };
+}
+
+function addSample(aggregate, value) {
+  if (typeof value !== 'number' || !isFinite(value)) return;
+  aggregate.samples += 1;
+  aggregate.sum += value;
+  aggregate.min = Math.min(aggregate.min, value);
+  aggregate.max = Math.max(aggregate.max, value);
+  aggregate.last = value;
+}
+
+function summarize(type, aggregate, extra) {
+  if (aggregate.samples === 0) return null;
+  return {
+    type,
+    time: Date.now(),
+    samples: aggregate.samples,
+    avg: Math.round((aggregate.sum / aggregate.samples) * 10) / 10,
+    min: aggregate.min,
+    max: aggregate.max,
+    last: aggregate.last,
+    ...extra
+  };
+}
+
+function getContext(store) {
+  const state = store.getState();
+  return {
+    device: state.device,
+    network: {
+      effectiveType: state.network.effectiveType,
+      downlink: state.network.downlink,
+      rtt: state.network.rtt,
+      saveData: state.network.saveData
+    },
+    tier: getAdaptiveFeatures(state).performanceLevel,
+    simulated: !!getSimulationProfile()
+  };
+}
+
+function sendPayload(options, payload) {
+  if (typeof options.send === 'function') {
+    options.send(payload);
+    return;
+  }
+
+  const body = JSON.stringify(payload);
+
+  // Beacons survive the page being hidden or unloaded; text/plain avoids a CORS preflight
+  if (options.transport !== 'fetch' && typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+    if (navigator.sendBeacon(options.endpoint, body)) return;
+  }
+
+  if (typeof fetch === 'function') {
+    fetch(options.endpoint, {
+      method: 'POST',
+      body,
+      keepalive: true,
+      headers: { 'Content-Type': 'application/json' }
+    }).catch(error => console.warn('Error sending Integrity telemetry:', error));
+  }
+}
+
+function startTelemetry(options, session) {
+  const store = options.store || getDefaultIntegrityStore();
+  const events = [];
+  const fps = createAggregate();
+  const memory = createAggregate();
+  let tier = null;
+  let sequence = 0;
+
+  const flush = () => {
+    const batch = events.splice(0, events.length);
+    const fpsSummary = summarize('fps', fps);
+    const { heapLimit, source } = store.getState().memory;
+    const memorySummary = summarize('memory', memory, { heapLimit, source });
+    if (fpsSummary) batch.push(fpsSummary);
+    if (memorySummary) batch.push(memorySummary);
+    if (batch.length === 0) return;
+
+    Object.assign(fps, createAggregate());
+    Object.assign(memory, createAggregate());
+
+    try {
+      sendPayload(options, {
+        session: { id: session.id, startedAt: session.startedAt, sampleRate: session.sampleRate },
+        sequence: sequence++,
+        sentAt: Date.now(),
+        context: getContext(store),
+        events: batch
+      });
+    } catch (error) {
+      console.warn('Error flushing Integrity telemetry:', error);
+    }
+  };
+
+  const record = (type, data) => {
+    events.push({ type, time: Date.now(), ...data });
+    if (events.length >= options.maxBatchSize) flush();
+  };
+
+  const checkTier = () => {
+    const next = getAdaptiveFeatures(store.getState()).performanceLevel;
+    if (next === tier) return;
+    record('tier', { from: tier, to: next });
+    tier = next;
+  };
+
+  const subscriptions = [
+    store.subscribe('performance', () => {
+      addSample(fps, store.getState().performance.fps);
+      checkTier();
+    }),
+    store.subscribe('memory', () => addSample(memory, store.getState().memory.used)),
+    store.subscribe('device', checkTier),
+    store.subscribe('battery', checkTier)
+  ];
+  checkTier();
+
+  // Resource errors don't bubble; catch failed <img> loads in the capture phase
+  const onResourceError = (event) => {
+    const target = event.target;
+    if (target && target.tagName === 'IMG') {
+      record('image-error', { src: target.currentSrc || target.src });
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush();
+  };
+
+  window.addEventListener('error', onResourceError, true);
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  return {
+    options,
+    record,
+    flush,
+    stop() {
+      flush();
+      subscriptions.forEach(unsubscribe => unsubscribe());
+      window.removeEventListener('error', onResourceError, true);
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+  };
+}
+
+/**
+ * Start, restart or stop telemetry from the `telemetry` config option
+ * Called by configureIntegrity; a falsy option stops reporting.
+ */
+export function configureTelemetry(config) {
+  try {
+    if (active) {
+      active.stop();
+      active = null;
+    }
+
+    if (!config || typeof window === 'undefined' || typeof document === 'undefined') return;
+
+    const options = { ...DEFAULT_OPTIONS, ...(typeof config === 'string' ? { endpoint: config } : config) };
+    if (!options.endpoint && typeof options.send !== 'function') {
+      console.warn('[Integrity.js] telemetry requires an endpoint (or a send function)');
+      return;
+    }
+
+    const sampleRate = Math.min(1, Math.max(0, Number(options.sampleRate)));
+    const session = resolveSession(isFinite(sampleRate) ? sampleRate : 1);
+    if (!session.sampled) return;
+
+    active = startTelemetry(options, session);
+  } catch (error) {
+    console.warn('Error configuring Integrity telemetry:', error);
+  }
+}
+
+/**
+ * Add an event to the current batch (JavaScript-safe)
+ * No-op when telemetry is off or this session was sampled out.
+ */
+export function recordIntegrityEvent(type, data = {}) {
+  if (!active || typeof type !== 'string') return;
+  try {
+    active.record(type, data);
+  } catch (error) {
+    console.warn('Error recording Integrity telemetry event:', error);
+  }
+}
+
+/**
+ * Send everything recorded so far without waiting for the page to be hidden
+ */
+export function flushIntegrityTelemetry() {
+  if (active) active.flush();
+}
@@ -0,0 +1,184 @@
+/**
+ * Integrity.js Testing Utilities
+ * `integrity.js/testing` - deterministic signals and hook overrides for Jest/jsdom
+ *
+ *   const view = renderWithIntegrity(<Gallery />);
+ *   view.setBattery({ level: 0.1, charging: false });
+ *   expect(view.container.querySelector('video')).toBeNull();
+ */
+
+import React from 'react';
+import * as ReactDOM from 'react-dom';
+import { IntegrityProvider, createIntegrityStore, createPerformanceSample } from './store';
+import { summarizeFrames, createSteadyFrameStats } from './frames';
+import { setIntegrityDispatcher } from './hooks';
+
+/**
+ * Fixed signal values for tests: a mid-range desktop on 4G, full battery, 60fps
+ * Nothing is read from the (js)dom, so results do not depend on the test environment.
+ */
+export const TEST_SIGNALS = {
+  device: { isMobile: false, isLowEnd: false, pixelRatio: 1, memoryGB: 4, connectionType: '4g' },
+  network: { effectiveType: '4g', downlink: 10, rtt: 50, saveData: false, online: true },
+  battery: { level: 1, charging: true, chargingTime: 0, dischargingTime: Infinity, supported: true },
+  performance: { ...createPerformanceSample(createSteadyFrameStats(60, 1000 / 60)), sampleId: 0 },
+  memory: { used: 0, heapLimit: null, source: 'estimated' }
+};
+
+function mergeSignals(overrides) {
+  const merged = {};
+  Object.keys(TEST_SIGNALS).forEach(signal => {
+    merged[signal] = { ...TEST_SIGNALS[signal], ...(overrides && overrides[signal]) };
+  });
+  return merged;
+}
+
+/**
+ * Store with no samplers: no RAF loop, no getBattery, no memory polling
+ * Values only change through setState or the fake signal setters.
+ */
+export function createTestStore(initialState) {
+  return createIntegrityStore({ initialState: mergeSignals(initialState), samplers: false });
+}
+
+/**
+ * Setters that drive a store's signals (JavaScript-safe)
+ * `wrap` runs each update, e.g. inside `act`; renderWithIntegrity passes one for you.
+ */
+export function createFakeSignals(store, wrap = run => run()) {
+  const set = (signal, patch) => wrap(() => store.setState(signal, patch));
+  const report = frameStats => set('performance', {
+    ...createPerformanceSample(frameStats),
+    sampleId: store.getState().performance.sampleId + 1
+  });
+
+  return {
+    setBattery(battery) {
+      set('battery', typeof battery === 'number' ? { level: battery } : battery);
+    },
+
+    // One call is one frame sampler report of a steady frame rate
+    setFps(fps, targetFPS = 60) {
+      report(createSteadyFrameStats(fps, 1000 / targetFPS));
+    },
+
+    // A report computed from these frame durations (ms), e.g. [16, 16, 120] for a jank spike
+    setFrames(durations, targetFPS = 60) {
+      // FPS over the last second of frames, as the real sampler reports it
+      let count = 0;
+      let elapsed = 0;
+      for (let index = durations.length - 1; index >= 0 && elapsed < 1000; index--) {
+        elapsed += durations[index];
+        count += 1;
+      }
+      const fps = elapsed > 0 ? Math.round((count * 1000) / elapsed) : 0;
+      report({ fps, ...summarizeFrames(durations, 1000 / targetFPS) });
+    },
+
+    // Used (and optionally heap limit) in MB, as useMemory reports them; `source` defaults to 'heap'
+    setMemory(used, heapLimit, source = 'heap') {
+      set('memory', heapLimit === undefined ? { used, source } : { used, heapLimit, source });
+    },
+
+    setConnection(connection) {
+      const network = typeof connection === 'string' ? { effectiveType: connection } : connection;
+      set('network', network);
+      if (network.effectiveType) {
+        set('device', { connectionType: network.effectiveType });
+      }
+    },
+
+    setDevice(device) {
+      set('device', device);
+    }
+  };
+}
+
+// react-dom/client only exists from React 18 and react-dom/test-utils is gone in React 19, so
+// both are required only when needed and this module still loads across the whole peer range
+function requireOptional(load) {
+  try {
+    return typeof require === 'function' ? load() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getAct() {
+  if (typeof React.act === 'function') return React.act;
+  const testUtils = requireOptional(() => require('react-dom/test-utils'));
+  return testUtils && typeof testUtils.act === 'function' ? testUtils.act : run => run();
+}
+
+/**
+ * createRoot where react-dom/client exists, ReactDOM.render before React 18
+ */
+function createTestRoot(container) {
+  const client = requireOptional(() => require('react-dom/client'));
+  if (client && typeof client.createRoot === 'function') return client.createRoot(container);
+
+  return {
+    render: element => ReactDOM.render(element, container),
+    unmount: () => ReactDOM.unmountComponentAtNode(container)
+  };
+}
+
+/**
+ * Install hook overrides for the duration of a test; returns a function that restores the previous ones
+ * Any Integrity hook the dispatcher defines (useBattery, usePerformance, useAdaptiveFeatures, ...) replaces the built-in.
+ */
+export function installIntegrityDispatcher(dispatcher) {
+  const previous = setIntegrityDispatcher(dispatcher);
+  return () => {
+    setIntegrityDispatcher(previous);
+  };
+}
+
+/**
+ * Render a tree inside an IntegrityProvider backed by a test store (JavaScript-safe)
+ *
+ * Options:
+ * - signals: initial signal values merged over TEST_SIGNALS
+ * - store: use an existing store instead
+ * - dispatcher: hook overrides, removed again on unmount
+ * - container: element to render into (default: a new div appended to document.body)
+ *
+ * Returns { container, store, rerender, unmount, setBattery, setFps, setFrames, setMemory, setConnection, setDevice }.
+ */
+export function renderWithIntegrity(ui, options = {}) {
+  const act = getAct();
+  const store = options.store || createTestStore(options.signals);
+  const restoreDispatcher = options.dispatcher ? installIntegrityDispatcher(options.dispatcher) : null;
+
+  const container = options.container || document.body.appendChild(document.createElement('div'));
+  const root = createTestRoot(container);
+  const wrap = element => React.createElement(IntegrityProvider, { store }, element);
+
+  act(() => {
+    root.render(wrap(ui));
+  });
+
+  return {
+    container,
+    store,
+    ...createFakeSignals(store, act),
+
+    rerender(nextUi) {
+      act(() => {
+        root.render(wrap(nextUi));
+      });
+    },
+
+    unmount() {
+      act(() => {
+        root.unmount();
+      });
+      if (restoreDispatcher) restoreDispatcher();
+      if (!options.container && container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    }
+  };
+}
+
+export { setIntegrityDispatcher };
@@ -0,0 +1,369 @@
+/**
+ * Integrity.js Texture Manager
+ * WebGL textures tracked per context with estimated GPU bytes and reference counts.
+ * Eviction deletes them on the GPU (`deleteTexture`, or the texture's own `dispose`)
+ * instead of only dropping them from a Map
+ *
+ * Installed as `window.__INTEGRITY_TEXTURE_CACHE__`; it keeps the Map methods
+ * (`size`, `get`, `has`, `set`, `delete`, `clear`, `forEach`) existing callers use.
+ */
+
+import { parseMemoryLimit } from './memory';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const DEFAULT_MEMORY_LIMIT = 100 * 1024 * 1024;
+
+// Largest texture edge per useAdaptiveFeatures tier, further capped by the context's MAX_TEXTURE_SIZE
+export const TEXTURE_TIER_SIZES = {
+  low: 1024,
+  medium: 2048,
+  high: 4096
+};
+
+const contextIds = new WeakMap();
+let nextContextId = 1;
+
+function getContextId(context) {
+  if (!context || (typeof context !== 'object' && typeof context !== 'function')) return 0;
+  if (!contextIds.has(context)) contextIds.set(context, nextContextId++);
+  return contextIds.get(context);
+}
+
+function getEntryKey(context, key) {
+  return `${getContextId(context)}:${key}`;
+}
+
+/**
+ * GPU byte budget: `textureMemoryLimit`, else `memoryLimit`
+ */
+export function getTextureBudget() {
+  const config = typeof window !== 'undefined' && window.__INTEGRITY_CONFIG__ ? window.__INTEGRITY_CONFIG__ : {};
+  const explicit = parseMemoryLimit(config.textureMemoryLimit);
+  return explicit !== null ? explicit : parseMemoryLimit(config.memoryLimit, DEFAULT_MEMORY_LIMIT);
+}
+
+/**
+ * Estimated GPU bytes of a texture; a full mipmap chain adds a third
+ */
+export function estimateTextureBytes(width, height, options = {}) {
+  const bytesPerPixel = options.bytesPerPixel || 4;
+  return Math.round((width || 0) * (height || 0) * bytesPerPixel * (options.mipmaps ? 4 / 3 : 1));
+}
+
+/**
+ * Largest texture edge for a tier, capped by what the context supports (JavaScript-safe)
+ * Accepts a WebGL context or a renderer exposing `capabilities.maxTextureSize` (three.js).
+ */
+export function getMaxTextureSize(context, performanceLevel = 'high') {
+  const tierSize = TEXTURE_TIER_SIZES[performanceLevel] || TEXTURE_TIER_SIZES.medium;
+
+  try {
+    if (context && typeof context.getParameter === 'function') {
+      const supported = context.getParameter(context.MAX_TEXTURE_SIZE);
+      if (supported > 0) return Math.min(tierSize, supported);
+    }
+    if (context && context.capabilities && context.capabilities.maxTextureSize > 0) {
+      return Math.min(tierSize, context.capabilities.maxTextureSize);
+    }
+  } catch (error) {
+    // A lost context throws; fall back to the tier size
+  }
+  return tierSize;
+}
+
+/**
+ * Free a texture on the GPU: the entry's adapter, else the WebGL context, else `texture.dispose()`
+ */
+function disposeEntry(entry) {
+  try {
+    if (typeof entry.dispose === 'function') {
+      entry.dispose(entry.texture, entry.context);
+    } else if (entry.context && typeof entry.context.deleteTexture === 'function') {
+      if (!entry.context.isContextLost || !entry.context.isContextLost()) {
+        entry.context.deleteTexture(entry.texture);
+      }
+    } else if (entry.texture && typeof entry.texture.dispose === 'function') {
+      entry.texture.dispose();
+    }
+  } catch (error) {
+    console.warn('Error disposing Integrity texture:', error);
+  }
+}
+
+/**
+ * Load an image into a WebGL texture, scaled down to `maxSize` (the default useTexture creator)
+ */
+export function createImageTexture({ context: gl, src, maxSize }) {
+  return new Promise((resolve, reject) => {
+    if (!gl || typeof gl.createTexture !== 'function') {
+      reject(new Error('createImageTexture needs a WebGL context; pass `create` for other renderers'));
+      return;
+    }
+
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => {
+      try {
+        let width = image.naturalWidth;
+        let height = image.naturalHeight;
+        let source = image;
+
+        // Downscale on a canvas so the GPU never holds more than the tier allows
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        if (scale < 1) {
+          width = Math.max(1, Math.floor(width * scale));
+          height = Math.max(1, Math.floor(height * scale));
+          source = document.createElement('canvas');
+          source.width = width;
+          source.height = height;
+          source.getContext('2d').drawImage(image, 0, 0, width, height);
+        }
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+        // WebGL1 only mipmaps power-of-two textures
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        const mipmaps = isWebGL2 || ((width & (width - 1)) === 0 && (height & (height - 1)) === 0);
+        if (mipmaps) {
+          gl.generateMipmap(gl.TEXTURE_2D);
+        } else {
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+          gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        }
+
+        resolve({ texture, width, height, mipmaps });
+      } catch (error) {
+        reject(error);
+      }
+    };
+    image.onerror = () => reject(new Error(`Failed to load texture ${src}`));
+    image.src = src;
+  });
+}
+
+/**
+ * Create a texture manager (JavaScript-safe)
+ */
+export function createTextureCache() {
+  // Map order is recency: the first entry is the least recently used
+  const entries = new Map();
+  const pending = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+  let bytes = 0;
+
+  const remove = (id, dispose = true) => {
+    const entry = entries.get(id);
+    if (!entry) return 0;
+    entries.delete(id);
+    bytes -= entry.bytes;
+    if (dispose) disposeEntry(entry);
+    return entry.bytes;
+  };
+
+  const retain = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    entry.refs += 1;
+    entries.delete(id);
+    entries.set(id, entry);
+    return entry;
+  };
+
+  // Only textures nobody holds can go: lowest priority first, least recently used first within a priority
+  const evictUntil = (target) => {
+    let freed = 0;
+    for (const priority of PRIORITIES) {
+      if (bytes <= target) break;
+      for (const [id, entry] of entries) {
+        if (bytes <= target) break;
+        if (entry.refs > 0 || entry.priority !== priority) continue;
+        freed += remove(id);
+        stats.evictions += 1;
+      }
+    }
+    return freed;
+  };
+
+  const cache = {
+    /**
+     * Track a texture created for `context` under `key`, holding one reference
+     * Options: width, height, mipmaps, bytesPerPixel (or bytes), priority, and
+     * dispose(texture, context) for textures the context can't delete itself.
+     */
+    add(context, key, texture, options = {}) {
+      const id = getEntryKey(context, key);
+      const previous = entries.get(id);
+      if (previous && previous.texture !== texture) remove(id);
+      else if (previous) remove(id, false);
+
+      const entry = {
+        key,
+        context,
+        contextId: getContextId(context),
+        texture,
+        width: options.width || 0,
+        height: options.height || 0,
+        bytes: typeof options.bytes === 'number' ? options.bytes : estimateTextureBytes(options.width, options.height, options),
+        priority: PRIORITIES.includes(options.priority) ? options.priority : 'medium',
+        dispose: options.dispose || null,
+        refs: previous ? previous.refs + 1 : 1
+      };
+
+      entries.set(id, entry);
+      bytes += entry.bytes;
+      evictUntil(getTextureBudget());
+      return entry;
+    },
+
+    /**
+     * Take a reference to a tracked texture; null when it isn't tracked
+     */
+    acquire(context, key) {
+      const entry = retain(getEntryKey(context, key));
+      if (entry) stats.hits += 1;
+      else stats.misses += 1;
+      return entry;
+    },
+
+    /**
+     * Reference a texture, creating it once per context and key
+     * `create({ context, key, ...options })` returns (or resolves to) `{ texture, width, height, mipmaps }`.
+     * Concurrent loads of the same texture share one creation.
+     */
+    load(context, key, create, options = {}) {
+      const id = getEntryKey(context, key);
+      if (entries.has(id)) {
+        stats.hits += 1;
+        return Promise.resolve(retain(id));
+      }
+      if (pending.has(id)) {
+        stats.hits += 1;
+        return pending.get(id).then(() => retain(id));
+      }
+
+      stats.misses += 1;
+      const created = Promise.resolve()
+        .then(() => create({ context, key, ...options }))
+        .then(result => {
+          pending.delete(id);
+          return cache.add(context, key, result.texture, { ...options, ...result });
+        }, error => {
+          pending.delete(id);
+          throw error;
+        });
+      pending.set(id, created);
+      return created;
+    },
+
+    /**
+     * Drop a reference; unreferenced textures stay cached until evicted
+     */
+    release(context, key) {
+      const id = getEntryKey(context, key);
+      const entry = entries.get(id);
+      if (!entry) return;
+      entry.refs = Math.max(0, entry.refs - 1);
+      if (entry.refs === 0) evictUntil(getTextureBudget());
+    },
+
+    /**
+     * Delete unreferenced textures down to a byte target (default: the budget); returns bytes freed
+     */
+    trim(target = getTextureBudget()) {
+      return evictUntil(target);
+    },
+
+    /**
+     * Forget every texture of a context: deleted on the GPU, or just dropped after context loss
+     */
+    disposeContext(context, options = {}) {
+      const contextId = getContextId(context);
+      let freed = 0;
+      entries.forEach((entry, id) => {
+        if (entry.contextId === contextId) freed += remove(id, options.lost !== true);
+      });
+      return freed;
+    },
+
+    /**
+     * Occupancy, reference and hit/miss counters, overall and per context
+     */
+    getStats() {
+      const contexts = new Map();
+      let referenced = 0;
+      entries.forEach(entry => {
+        if (entry.refs > 0) referenced += 1;
+        const context = contexts.get(entry.contextId) || { id: entry.contextId, textures: 0, bytes: 0 };
+        context.textures += 1;
+        context.bytes += entry.bytes;
+        contexts.set(entry.contextId, context);
+      });
+
+      return {
+        ...stats,
+        textures: entries.size,
+        referenced,
+        bytes,
+        budget: getTextureBudget(),
+        contexts: Array.from(contexts.values())
+      };
+    },
+
+    // Map-compatible surface; plain keys belong to no context
+    get size() {
+      return entries.size;
+    },
+    get(key) {
+      return entries.get(getEntryKey(null, key));
+    },
+    has(key) {
+      return entries.has(getEntryKey(null, key));
+    },
+    set(key, texture) {
+      const entry = cache.add(null, key, texture, texture && typeof texture.bytes === 'number' ? { bytes: texture.bytes } : {});
+      entry.refs = 0;
+      return cache;
+    },
+    delete(key) {
+      const id = getEntryKey(null, key);
+      if (!entries.has(id)) return false;
+      remove(id);
+      return true;
+    },
+    clear() {
+      stats.evictions += entries.size;
+      entries.forEach(disposeEntry);
+      entries.clear();
+      bytes = 0;
+    },
+    forEach(callback) {
+      entries.forEach((entry, id) => callback(entry, id, cache));
+    }
+  };
+
+  return cache;
+}
+
+/**
+ * The page's texture manager, installed on first use; null on the server
+ */
+export function getTextureCache() {
+  if (typeof window === 'undefined') return null;
+
+  const current = window.__INTEGRITY_TEXTURE_CACHE__;
+  if (!current || typeof current.load !== 'function') {
+    window.__INTEGRITY_TEXTURE_CACHE__ = createTextureCache();
+  }
+  return window.__INTEGRITY_TEXTURE_CACHE__;
+}
+
+/**
+ * Texture counts, GPU bytes and hit/miss statistics (JavaScript-safe)
+ */
+export function getTextureStats() {
+  const cache = getTextureCache();
+  return cache ? cache.getStats() : null;
+}
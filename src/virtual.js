@@ -0,0 +1,184 @@
+/**
+ * Integrity.js Windowing Engine
+ * Shared by useVirtualList and containers whose children exceed `virtual-threshold`
+ */
+
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+
+export const DEFAULT_ITEM_HEIGHT = 50;
+export const DEFAULT_OVERSCAN = 5;
+
+// Spacer tags that stay valid inside each kind of list container
+const SPACER_TAGS = {
+  ul: 'li',
+  ol: 'li',
+  menu: 'li',
+  tbody: 'tr',
+  thead: 'tr',
+  tfoot: 'tr',
+  dl: 'div'
+};
+
+let warnedTable = false;
+
+/**
+ * Whether a container's children can be windowed; a <table>'s children are row groups, not rows,
+ * so only its <tbody>, <thead> and <tfoot> are (warns once)
+ */
+export function canWindowChildren(containerType) {
+  if (containerType !== 'table') return true;
+
+  if (!warnedTable) {
+    warnedTable = true;
+    console.warn('[Integrity.js] virtual-threshold on <table> is ignored. Put it on <tbody> instead.');
+  }
+  return false;
+}
+
+/**
+ * Compute which items are visible for a scroll position
+ */
+export function getVirtualWindow({ count, scrollTop, viewportHeight, itemHeight, overscan }) {
+  const height = itemHeight || DEFAULT_ITEM_HEIGHT;
+  const buffer = typeof overscan === 'number' ? overscan : DEFAULT_OVERSCAN;
+
+  const startIndex = Math.max(0, Math.floor(scrollTop / height) - buffer);
+  const endIndex = Math.min(
+    count - 1,
+    Math.ceil((scrollTop + viewportHeight) / height) + buffer
+  );
+
+  return {
+    startIndex,
+    endIndex,
+    offsetBefore: startIndex * height,
+    offsetAfter: Math.max(0, (count - endIndex - 1) * height),
+    totalHeight: count * height
+  };
+}
+
+/**
+ * Parse a virtual-threshold value, returning null when it is missing or invalid
+ */
+export function parseVirtualThreshold(value) {
+  const threshold = typeof value === 'number' ? value : parseInt(value, 10);
+  return isFinite(threshold) && threshold >= 10 ? threshold : null;
+}
+
+/**
+ * Resolve windowing options for host containers with more children than their virtual-threshold, or null
+ */
+export function getVirtualOptions(type, props, attributes) {
+  const threshold = parseVirtualThreshold(attributes['virtual-threshold']);
+
+  if (typeof type !== 'string' || !threshold || React.Children.count(props.children) <= threshold || !canWindowChildren(type)) {
+    return null;
+  }
+
+  return {
+    itemHeight: parseInt(attributes['virtual-item-height'], 10) || undefined
+  };
+}
+
+function isScrollContainer(node) {
+  if (!node || typeof window === 'undefined' || !window.getComputedStyle) return false;
+  const overflowY = window.getComputedStyle(node).overflowY;
+  return overflowY === 'auto' || overflowY === 'scroll';
+}
+
+function createSpacer(containerType, height, key) {
+  const tag = SPACER_TAGS[containerType] || 'div';
+  const style = { height: `${height}px`, padding: 0, margin: 0, border: 0, listStyle: 'none' };
+
+  // Table rows need a cell to hold their height
+  const children = tag === 'tr' ? React.createElement('td', { style: { padding: 0, border: 0 } }) : undefined;
+  return React.createElement(tag, { key, style, 'aria-hidden': true }, children);
+}
+
+/**
+ * Window the children of a container once they exceed its threshold.
+ * The container stays the scroll container; when it does not scroll itself,
+ * the page scroll position relative to the container is used instead.
+ */
+export function useVirtualChildren(children, options, containerType) {
+  const enabled = !!options;
+  const itemHeight = (options && options.itemHeight) || DEFAULT_ITEM_HEIGHT;
+  const overscan = options && typeof options.overscan === 'number' ? options.overscan : DEFAULT_OVERSCAN;
+
+  const [viewport, setViewport] = useState(() => ({
+    scrollTop: 0,
+    height: typeof window !== 'undefined' ? window.innerHeight : 600
+  }));
+  const nodeRef = useRef(null);
+  const frameRef = useRef(null);
+
+  const measure = useCallback(() => {
+    frameRef.current = null;
+    const node = nodeRef.current;
+    if (!node) return;
+
+    let next;
+    if (isScrollContainer(node)) {
+      next = { scrollTop: node.scrollTop, height: node.clientHeight || window.innerHeight };
+    } else {
+      const rect = node.getBoundingClientRect();
+      next = { scrollTop: Math.max(0, -rect.top), height: window.innerHeight };
+    }
+
+    setViewport(prev => (
+      prev.scrollTop === next.scrollTop && prev.height === next.height ? prev : next
+    ));
+  }, []);
+
+  const scheduleMeasure = useCallback(() => {
+    if (frameRef.current !== null) return;
+    frameRef.current = typeof requestAnimationFrame === 'function' ?
+      requestAnimationFrame(measure) :
+      setTimeout(measure, 16);
+  }, [measure]);
+
+  const ref = useCallback((node) => {
+    nodeRef.current = node;
+    if (node && enabled) measure();
+  }, [enabled, measure]);
+
+  useEffect(() => {
+    if (!enabled || typeof window === 'undefined') return undefined;
+
+    // Capture catches scrolling of the container itself as well as the page
+    window.addEventListener('scroll', scheduleMeasure, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleMeasure, { passive: true });
+
+    return () => {
+      window.removeEventListener('scroll', scheduleMeasure, true);
+      window.removeEventListener('resize', scheduleMeasure);
+      if (frameRef.current !== null && typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(frameRef.current);
+      }
+      frameRef.current = null;
+    };
+  }, [enabled, scheduleMeasure]);
+
+  if (!enabled) {
+    return { children, ref };
+  }
+
+  const items = React.Children.toArray(children);
+  const range = getVirtualWindow({
+    count: items.length,
+    scrollTop: viewport.scrollTop,
+    viewportHeight: viewport.height,
+    itemHeight,
+    overscan
+  });
+
+  const windowed = items.slice(range.startIndex, range.endIndex + 1);
+  if (range.offsetBefore > 0) {
+    windowed.unshift(createSpacer(containerType, range.offsetBefore, '__integrity-virtual-before'));
+  }
+  if (range.offsetAfter > 0) {
+    windowed.push(createSpacer(containerType, range.offsetAfter, '__integrity-virtual-after'));
+  }
+
+  return { children: windowed, ref };
+}
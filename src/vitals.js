@@ -0,0 +1,242 @@
+/**
+ * Integrity.js Web Vitals
+ * LCP, CLS (session windows), INP (event timing) and long tasks from one shared
+ * PerformanceObserver, attributed to the enhanced component owning the DOM node
+ */
+
+import { findOwningComponent } from './mounted';
+
+const VITALS_ENTRY_TYPES = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask'];
+
+// CLS session windows: shifts less than 1s apart, at most 5s per window
+const CLS_GAP = 1000;
+const CLS_WINDOW = 5000;
+
+// Interactions kept for the INP percentile; one is skipped per 50 interactions
+const MAX_INTERACTIONS = 10;
+const LONG_TASK_BLOCKING = 50;
+
+export const EMPTY_VITALS = {
+  lcp: null,
+  cls: null,
+  inp: null,
+  longTasks: { count: 0, totalDuration: 0, totalBlockingTime: 0 },
+  supported: false
+};
+
+const listeners = new Set();
+let vitals = EMPTY_VITALS;
+let observer = null;
+
+const state = {
+  lcp: null,
+  firstInputTime: Infinity,
+  clsWindow: { value: 0, entries: [] },
+  clsMax: { value: 0, entries: [] },
+  interactions: new Map(),
+  interactionCount: 0,
+  longTasks: { count: 0, totalDuration: 0, totalBlockingTime: 0 }
+};
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Short description of a DOM node for reports: tag, id and first class
+ */
+function describeNode(node) {
+  if (!node || !node.tagName) return null;
+  const tag = node.tagName.toLowerCase();
+  if (node.id) return `${tag}#${node.id}`;
+  const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+  return className ? `${tag}.${className}` : tag;
+}
+
+function attribute(node) {
+  return { target: describeNode(node), component: node ? findOwningComponent(node) : null };
+}
+
+function handleLargestContentfulPaint(entry) {
+  // LCP stops at the first interaction
+  if (entry.startTime > state.firstInputTime) return;
+  state.lcp = entry;
+}
+
+function handleLayoutShift(entry) {
+  if (entry.hadRecentInput) return;
+
+  const current = state.clsWindow;
+  const first = current.entries[0];
+  const last = current.entries[current.entries.length - 1];
+
+  if (first && entry.startTime - last.startTime < CLS_GAP && entry.startTime - first.startTime < CLS_WINDOW) {
+    state.clsWindow = { value: current.value + entry.value, entries: current.entries.concat(entry) };
+  } else {
+    state.clsWindow = { value: entry.value, entries: [entry] };
+  }
+
+  if (state.clsWindow.value > state.clsMax.value) {
+    state.clsMax = state.clsWindow;
+  }
+}
+
+function handleInteraction(entry) {
+  // Hovers and pointer moves also produce event entries but have no interactionId; they don't end LCP
+  if (entry.interactionId || entry.entryType === 'first-input') {
+    state.firstInputTime = Math.min(state.firstInputTime, entry.startTime);
+  }
+  if (!entry.interactionId) return;
+
+  // Several entries (pointerdown, pointerup, click) share one interaction; keep the longest
+  const existing = state.interactions.get(entry.interactionId);
+  if (existing) {
+    if (entry.duration > existing.duration) state.interactions.set(entry.interactionId, entry);
+    return;
+  }
+
+  state.interactionCount += 1;
+  state.interactions.set(entry.interactionId, entry);
+
+  if (state.interactions.size > MAX_INTERACTIONS) {
+    let shortest = null;
+    state.interactions.forEach((candidate, id) => {
+      if (!shortest || candidate.duration < shortest.entry.duration) shortest = { id, entry: candidate };
+    });
+    state.interactions.delete(shortest.id);
+  }
+}
+
+function handleLongTask(entry) {
+  state.longTasks = {
+    count: state.longTasks.count + 1,
+    totalDuration: state.longTasks.totalDuration + entry.duration,
+    totalBlockingTime: state.longTasks.totalBlockingTime + Math.max(0, entry.duration - LONG_TASK_BLOCKING)
+  };
+}
+
+function getLargestShiftNode(entries) {
+  let largest = null;
+  entries.forEach(entry => {
+    (entry.sources || []).forEach(source => {
+      if (source.node && (!largest || entry.value > largest.value)) {
+        largest = { value: entry.value, node: source.node };
+      }
+    });
+  });
+  return largest ? largest.node : null;
+}
+
+function computeVitals() {
+  const lcp = state.lcp ? {
+    value: round(state.lcp.renderTime || state.lcp.loadTime || state.lcp.startTime, 0),
+    ...attribute(state.lcp.element)
+  } : null;
+
+  const cls = state.clsMax.entries.length > 0 ? {
+    value: round(state.clsMax.value, 4),
+    ...attribute(getLargestShiftNode(state.clsMax.entries))
+  } : null;
+
+  // p98 approximation: the worst interaction, skipping one per 50 interactions
+  const ranked = Array.from(state.interactions.values()).sort((a, b) => b.duration - a.duration);
+  const candidate = ranked[Math.min(ranked.length - 1, Math.floor(state.interactionCount / 50))];
+  const inp = candidate ? {
+    value: round(candidate.duration, 0),
+    eventType: candidate.name,
+    ...attribute(candidate.target)
+  } : null;
+
+  return {
+    lcp,
+    cls,
+    inp,
+    longTasks: {
+      count: state.longTasks.count,
+      totalDuration: round(state.longTasks.totalDuration, 0),
+      totalBlockingTime: round(state.longTasks.totalBlockingTime, 0)
+    },
+    supported: true
+  };
+}
+
+/**
+ * Feed performance entries to the collector; other entry types are ignored
+ */
+export function recordVitalsEntries(entries) {
+  let changed = false;
+
+  entries.forEach(entry => {
+    try {
+      switch (entry.entryType) {
+        case 'largest-contentful-paint': handleLargestContentfulPaint(entry); break;
+        case 'layout-shift': handleLayoutShift(entry); break;
+        case 'event':
+        case 'first-input': handleInteraction(entry); break;
+        case 'longtask': handleLongTask(entry); break;
+        default: return;
+      }
+      changed = true;
+    } catch (error) {
+      console.warn('Error processing Web Vitals entry:', error);
+    }
+  });
+
+  if (!changed) return;
+
+  vitals = computeVitals();
+  listeners.forEach(listener => {
+    try {
+      listener(vitals);
+    } catch (error) {
+      console.warn('Error in Web Vitals listener:', error);
+    }
+  });
+}
+
+/**
+ * Start the shared Web Vitals observer once per page; buffered entries are replayed
+ * Returns false where the browser reports none of the entry types.
+ */
+export function observeWebVitals() {
+  if (observer) return true;
+  if (typeof window === 'undefined' || !window.PerformanceObserver) return false;
+
+  try {
+    const supported = window.PerformanceObserver.supportedEntryTypes || [];
+    const types = VITALS_ENTRY_TYPES.filter(type => supported.includes(type));
+    if (types.length === 0) return false;
+
+    observer = new window.PerformanceObserver(list => recordVitalsEntries(list.getEntries()));
+    types.forEach(type => {
+      // 16ms is the lowest threshold event timing allows; the default (104ms) would hide most of INP
+      observer.observe(type === 'event' ? { type, buffered: true, durationThreshold: 16 } : { type, buffered: true });
+    });
+
+    if (vitals === EMPTY_VITALS) vitals = { ...EMPTY_VITALS, supported: true };
+    return true;
+  } catch (error) {
+    console.warn('Error observing Web Vitals:', error);
+    observer = null;
+    return false;
+  }
+}
+
+/**
+ * Current Web Vitals (JavaScript-safe)
+ * `lcp`, `cls` and `inp` are null until measured and carry `{ value, target, component }`;
+ * times are in ms, CLS is unitless.
+ */
+export function getWebVitals() {
+  return vitals;
+}
+
+/**
+ * Listen for Web Vitals updates (starts the observer); returns an unsubscribe function
+ */
+export function subscribeWebVitals(listener) {
+  observeWebVitals();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}